@@ -2,10 +2,10 @@
     /*
       UI controller for the momentum/collision simulation.  This module
       encapsulates all DOM queries, worker communication and drawing
-      routines for the two‑body collision simulation.  It closely
-      follows the structure of the projectile simulation UI but has
-      additional logic for drawing two bodies, displaying momentum
-      information and handling a collision event.
+      routines for the collision sandbox.  It closely follows the
+      structure of the projectile simulation UI but has additional logic
+      for editing and drawing any number of bodies, displaying momentum
+      information and handling collision events.
     */
 
     // Shortcuts for querying DOM elements.  All elements used by the
@@ -23,55 +23,104 @@
     const applyBtn = $('mom_applyBtn');
 
     // Input fields
-    const m1El = $('mom_m1');
-    const m2El = $('mom_m2');
-    const r1El = $('mom_r1');
-    const r2El = $('mom_r2');
-    const v1El = $('mom_v1');
-    const angle1El = $('mom_angle1');
-    const v2El = $('mom_v2');
-    const angle2El = $('mom_angle2');
-    const x1El = $('mom_x1');
-    const y1El = $('mom_y1');
-    const x2El = $('mom_x2');
-    const y2El = $('mom_y2');
+    const presetEl = $('mom_preset');
+    const presetBtn = $('mom_presetBtn');
+    const addBodyBtn = $('mom_addBodyBtn');
+    const bodyListEl = $('mom_bodyList');
+    const eEl = $('mom_e');
+    const boxXMinEl = $('mom_boxXMin');
+    const boxXMaxEl = $('mom_boxXMax');
+    const boxYMinEl = $('mom_boxYMin');
+    const boxYMaxEl = $('mom_boxYMax');
+    const wallsEl = $('mom_walls');
+    // Restitution input of each wall, keyed as in the worker's wall events
+    const WALLS = ['left', 'right', 'bottom', 'top'];
+    const wallEEls = {};
+    for (const w of WALLS) wallEEls[w] = $('mom_e' + w[0].toUpperCase() + w.slice(1));
+    const linesXEl = $('mom_linesX');
+    const linesYEl = $('mom_linesY');
     const speedEl = $('mom_speed');
+    // Reference frame the canvas is drawn in
+    const frameEl = $('mom_frame');
 
-    // HUD elements for positions
-    const hud1XEl = $('mom_hud1X');
-    const hud1YEl = $('mom_hud1Y');
-    const hud2XEl = $('mom_hud2X');
-    const hud2YEl = $('mom_hud2Y');
+    // Export / import controls
+    const exportCsvBtn = $('mom_exportCsvBtn');
+    const exportJsonBtn = $('mom_exportJsonBtn');
+    const importBtn = $('mom_importBtn');
+    const importFileEl = $('mom_importFile');
+
+    // HUD elements for the system totals
+    const hudNEl = $('mom_hudN');
+    const hudPEl = $('mom_hudP');
+    const hudKEEl = $('mom_hudKE');
 
     // Elements to display momentum information
     const pInfoEl = $('mom_momentumInfo');
+    // Bodies absorbed and impulse taken by each wall, when walls absorb
+    const wallInfoEl = $('mom_wallInfo');
+    // Event log
+    const eventsEl = $('mom_events');
+    const eventBody = $('mom_eventBody');
+    // Contact history, with the running system momentum
+    const contactsEl = $('mom_contacts');
+    const contactBody = $('mom_contactBody');
+    const sortBtns = contactsEl.querySelectorAll('button[data-sort]');
+    const pBodiesEl = $('mom_pBodies');
+    const pWallsEl = $('mom_pWalls');
+
+    // Replay timeline controls
+    const tlBackBtn = $('mom_tlBack');
+    const tlPlayBtn = $('mom_tlPlay');
+    const tlFwdBtn = $('mom_tlFwd');
+    const tlSlider = $('mom_tlSlider');
+    const tlTimeEl = $('mom_tlTime');
+    const tlSpeedEl = $('mom_tlSpeed');
 
     // Simulation state
     let worker = null;
     let running = false;
     let paused = false;
-    let points1 = [];
-    let points2 = [];
-    let current = {
-        x1: 0, y1: 0, vx1: 0, vy1: 0,
-        x2: 0, y2: 0, vx2: 0, vy2: 0,
-        t: 0,
-        collided: false,
-        momentumPre: null,
-        momentumPost: null
-    };
+    // Recorded frames { t, data }, data holding x, y, vx, vy of each body
+    // in turn, and the latest one
+    let frames = [];
+    let current = { t: 0, data: null };
     let transforms = null;
+    // Every collision seen in this run, in time order:
+    // { t, bodies, pre, post, keLost }, kept to show the right snapshot
+    // when replaying
+    let collisions = [];
+    // Key moments from the worker's `event` messages: collision, wall or
+    // crossing, each with its time and position
+    let events = [];
+    // Order of the contact history: a key of CONTACT_SORTS, 1 ascending
+    // or -1 descending
+    let contactSort = { key: 't', dir: 1 };
+    // Replay state.  `viewIndex` selects a recorded frame (an index into
+    // frames); null shows the live state.
+    let viewIndex = null;
+    let replaying = false;
+    let replayT = 0;
+    let replayLast = 0;
 
-    // Bounds used in both the worker and UI to define the simulation box.  These
-    // values should mirror the BOUNDS defined in momentum_worker.js.  Using
-    // constant bounds here ensures the grid and labels remain consistent
-    // regardless of particle positions.
-    const BOUNDS = { xMin: -10, xMax: 10, yMin: -5, yMax: 5 };
+    // Box used when the form's edges are out of order (mirrors defaults.box
+    // in momentum_worker.js).  The worker echoes the box it actually
+    // simulates when a run starts, and the plot is drawn from that.
+    const DEFAULT_BOX = { xMin: -10, xMax: 10, yMin: -5, yMax: 5 };
 
-    // Store the radii currently used in the simulation so that we can
-    // render body sizes proportionally in pixels.  These values are
-    // updated whenever the simulation is (re)started with new inputs.
-    let simParams = { r1: 0.25, r2: 0.25 };
+    // Colours given to new bodies in turn
+    const BODY_COLORS = ['#6fff9f', '#5ec2ff', '#ffb86b', '#c792ea', '#ff6b8b', '#f7e26b', '#82aaff', '#89ddff'];
+    // Largest number of bodies (mirrors MAX_BODIES in momentum_worker.js)
+    const MAX_BODIES = 500;
+    // Editable fields of a body in the list, with their input step
+    const BODY_FIELDS = [['m', 0.1], ['r', 0.05], ['v', 0.1], ['angle', 1], ['x', 0.1], ['y', 0.1]];
+    // Bodies in the form: { m, r, v, angle, x, y, color }
+    let bodies = presetRun('pair').bodies;
+
+    // Store the parameters currently used in the simulation so that we
+    // can render body sizes proportionally in pixels and export the run.
+    // These values are updated whenever the simulation is (re)started
+    // with new inputs.
+    let simParams = readParams();
 
     // Hi‑DPI canvas fitting
     function fitCanvas() {
@@ -111,26 +160,218 @@
     }
     function readParams() {
         return {
-            m1: Math.max(1e-3, num(m1El, 1)),
-            m2: Math.max(1e-3, num(m2El, 1)),
-            // Default radii fallback to 0.25 m if the input is empty
-            r1: Math.max(1e-3, num(r1El, 0.25)),
-            r2: Math.max(1e-3, num(r2El, 0.25)),
-            v1: Math.max(0, num(v1El, 5)),
-            angle1: num(angle1El, 0),
-            v2: Math.max(0, num(v2El, 5)),
-            angle2: num(angle2El, 180),
-            x1: num(x1El, -5),
-            y1: num(y1El, 0),
-            x2: num(x2El, 5),
-            y2: num(y2El, 0)
+            bodies: bodies.map(b => ({ ...b })),
+            e: Math.min(1, Math.max(0, num(eEl, 1))),
+            lines: readLines(),
+            box: readBox(),
+            walls: wallsEl.value,
+            wallE: Object.fromEntries(WALLS.map(w => [w, Math.min(1, Math.max(0, num(wallEEls[w], 1)))]))
+        };
+    }
+    // The box from the form, or the default one when its edges are not in
+    // order
+    function readBox() {
+        const box = {
+            xMin: num(boxXMinEl, DEFAULT_BOX.xMin),
+            xMax: num(boxXMaxEl, DEFAULT_BOX.xMax),
+            yMin: num(boxYMinEl, DEFAULT_BOX.yMin),
+            yMax: num(boxYMaxEl, DEFAULT_BOX.yMax)
         };
+        return box.xMin < box.xMax && box.yMin < box.yMax ? box : { ...DEFAULT_BOX };
+    }
+    // Wall restitution only matters when the walls bounce
+    function updateWallRows() {
+        for (const w of WALLS) wallEEls[w].closest('label').hidden = wallsEl.value !== 'bounce';
+    }
+    // Event lines from comma-separated positions, at most 10 per axis
+    // (mirrors readLines in projectile.js)
+    function readLines() {
+        const list = (el) => el.value.split(/[\s,;]+/).map(parseFloat).filter(Number.isFinite).slice(0, 10);
+        return { x: list(linesXEl), y: list(linesYEl) };
+    }
+    // Fill the form from a parameter object (the inverse of readParams)
+    function writeParams(p) {
+        if (Number.isFinite(+p.e)) eEl.value = +p.e;
+        if (Array.isArray(p.bodies) && p.bodies.length) {
+            bodies = p.bodies.slice(0, MAX_BODIES).map(toBody);
+            renderBodies();
+        }
+        if (p.lines) {
+            const list = (l) => (Array.isArray(l) ? l : []).filter(v => Number.isFinite(+v)).join(', ');
+            linesXEl.value = list(p.lines.x);
+            linesYEl.value = list(p.lines.y);
+        }
+        if (p.box) {
+            boxXMinEl.value = p.box.xMin;
+            boxXMaxEl.value = p.box.xMax;
+            boxYMinEl.value = p.box.yMin;
+            boxYMaxEl.value = p.box.yMax;
+        }
+        if ([...wallsEl.options].some(o => o.value === p.walls)) wallsEl.value = p.walls;
+        if (p.wallE) {
+            for (const w of WALLS) if (Number.isFinite(+p.wallE[w])) wallEEls[w].value = +p.wallE[w];
+        }
+        updateWallRows();
     }
     function readSpeed() {
         const s = parseFloat(speedEl.value);
         return Number.isFinite(s) && s > 0 ? s : 0.25;
     }
 
+    // A body with every field valid: missing or invalid values fall back
+    // to the defaults, the colour to body i's place in the palette
+    function toBody(b, i) {
+        const val = (v, fallback) => (v !== null && v !== '' && Number.isFinite(+v) ? +v : fallback);
+        return {
+            m: Math.max(1e-3, val(b.m, 1)),
+            r: Math.max(1e-3, val(b.r, 0.25)),
+            v: Math.max(0, val(b.v, 0)),
+            angle: val(b.angle, 0),
+            x: val(b.x, 0),
+            y: val(b.y, 0),
+            color: /^#[0-9a-f]{6}$/i.test(b.color) ? b.color : BODY_COLORS[i % BODY_COLORS.length]
+        };
+    }
+    // Starting layouts offered by the Preset menu: { bodies, box }
+    function presetRun(name) {
+        const color = (i) => BODY_COLORS[i % BODY_COLORS.length];
+        if (name === 'track') {
+            // Carts of different masses on a 50 m frictionless track
+            const carts = [[1, -20, 6], [2, -8, 0], [0.5, 4, -2], [3, 16, -3]];
+            return {
+                box: { xMin: -25, xMax: 25, yMin: -1, yMax: 1 },
+                bodies: carts.map(([m, x, vx], i) => ({
+                    m, r: 0.4, v: Math.abs(vx), angle: vx < 0 ? 180 : 0, x, y: 0, color: color(i)
+                }))
+            };
+        }
+        if (name === 'crowded') {
+            // 64 molecules packed into a 4 m square, all at 2 m/s.  The
+            // directions come from a fixed seed (mulberry32 is in
+            // proj_shared.js) so the preset is the same run every time.
+            const rand = mulberry32(1);
+            const bodies = [];
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    bodies.push({
+                        m: 1, r: 0.12, v: 2, angle: Math.round(rand() * 360),
+                        x: +(-1.75 + col * 0.5).toFixed(2), y: +(-1.75 + row * 0.5).toFixed(2), color: color(bodies.length)
+                    });
+                }
+            }
+            return { box: { xMin: -2, xMax: 2, yMin: -2, yMax: 2 }, bodies };
+        }
+        if (name === 'billiards') {
+            // A white cue ball driven into a rack of 15 at rest.  The small
+            // gap between the racked balls lets the break travel through.
+            const r = 0.25, d = 2 * r + 0.02;
+            const list = [{ m: 1, r, v: 12, angle: 0, x: -6, y: 0, color: '#ffffff' }];
+            for (let row = 0; row < 5; row++) {
+                for (let k = 0; k <= row; k++) {
+                    const x = 3 + (row * d * Math.sqrt(3)) / 2, y = (k - row / 2) * d;
+                    list.push({ m: 1, r, v: 0, angle: 0, x: +x.toFixed(3), y: +y.toFixed(3), color: color(list.length - 1) });
+                }
+            }
+            return { box: { ...DEFAULT_BOX }, bodies: list };
+        }
+        if (name === 'gas') {
+            // 120 equal molecules on a grid, all at 3 m/s in seeded random
+            // directions
+            const rand = mulberry32(2);
+            const list = [];
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 15; col++) {
+                    list.push({
+                        m: 1, r: 0.15, v: 3, angle: Math.round(rand() * 360),
+                        x: +(-8.4 + col * 1.2).toFixed(2), y: +(-3.85 + row * 1.1).toFixed(2), color: color(list.length)
+                    });
+                }
+            }
+            return { box: { ...DEFAULT_BOX }, bodies: list };
+        }
+        // Two equal bodies meeting head-on
+        return {
+            box: { ...DEFAULT_BOX },
+            bodies: [
+                { m: 1, r: 0.25, v: 5, angle: 0, x: -5, y: 0, color: color(0) },
+                { m: 1, r: 0.25, v: 5, angle: 180, x: 5, y: 0, color: color(1) }
+            ]
+        };
+    }
+    // Body list: one row of inputs per body
+    function renderBodies() {
+        const head = ['#', 'm (kg)', 'r (m)', 'v (m/s)', 'θ (°)', 'x (m)', 'y (m)', '', ''];
+        bodyListEl.innerHTML = `
+            <table>
+                <thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+                <tbody>${bodies.map((b, i) => `
+                    <tr>
+                        <td>${i + 1}</td>
+                        ${BODY_FIELDS.map(([key, step]) => `<td><input type="number" step="${step}" value="${b[key]}" data-body="${i}" data-key="${key}" aria-label="${key} of body ${i + 1}" /></td>`).join('')}
+                        <td><input type="color" value="${b.color}" data-body="${i}" data-key="color" aria-label="Colour of body ${i + 1}" /></td>
+                        <td><button type="button" class="secondary small" data-remove="${i}" aria-label="Remove body ${i + 1}"${bodies.length === 1 ? ' disabled' : ''}>✕</button></td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    // Until a run has been recorded the canvas previews the bodies and box
+    // in the form, with the bodies at their launch positions
+    function setupChanged() {
+        if (running || frameCount()) return;
+        simParams = readParams();
+        current = launchState();
+        transforms = null;
+        draw();
+    }
+    // Launch positions and velocities of the bodies in simParams
+    function launchState() {
+        const data = new Float64Array(4 * simParams.bodies.length);
+        simParams.bodies.forEach((b, i) => {
+            const th = (b.angle * Math.PI) / 180;
+            data.set([b.x, b.y, b.v * Math.cos(th), b.v * Math.sin(th)], 4 * i);
+        });
+        return { t: 0, data };
+    }
+    bodyListEl.addEventListener('change', (e) => {
+        const { body, key } = e.target.dataset;
+        if (body === undefined || !key) return;
+        const i = +body;
+        bodies[i] = toBody({ ...bodies[i], [key]: e.target.value }, i);
+        // Show the value actually used
+        e.target.value = bodies[i][key];
+        setupChanged();
+    });
+    bodyListEl.addEventListener('click', (e) => {
+        const i = e.target.dataset.remove;
+        if (i === undefined || bodies.length === 1) return;
+        bodies.splice(+i, 1);
+        renderBodies();
+        setupChanged();
+    });
+    addBodyBtn.addEventListener('click', () => {
+        if (bodies.length >= MAX_BODIES) {
+            alert(`At most ${MAX_BODIES} bodies can be added.`);
+            return;
+        }
+        bodies.push(toBody({ m: 1, r: 0.25, v: 0, angle: 0, x: 0, y: 0 }, bodies.length));
+        renderBodies();
+        setupChanged();
+    });
+    presetBtn.addEventListener('click', () => {
+        writeParams(presetRun(presetEl.value));
+        setupChanged();
+    });
+    for (const el of [boxXMinEl, boxXMaxEl, boxYMinEl, boxYMaxEl, wallsEl, ...Object.values(wallEEls)]) {
+        el.addEventListener('change', () => {
+            updateWallRows();
+            setupChanged();
+        });
+    }
+    renderBodies();
+    updateWallRows();
+    current = launchState();
+
     // Start or restart the simulation
     function startWithInputs() {
         if (worker) worker.terminate();
@@ -138,14 +379,21 @@
         worker.onmessage = (e) => {
             const msg = e.data;
             if (msg.type === 'tick') {
-                if (msg.points1 && msg.points1.length) {
-                    for (const p of msg.points1) points1.push(p);
+                // The first tick echoes the box being simulated
+                if (msg.state && msg.state.box) {
+                    simParams = { ...simParams, box: msg.state.box };
+                    transforms = null;
                 }
-                if (msg.points2 && msg.points2.length) {
-                    for (const p of msg.points2) points2.push(p);
+                if (msg.frames && msg.frames.length) {
+                    for (const f of msg.frames) frames.push(f);
+                    current = msg.frames[msg.frames.length - 1];
                 }
-                if (msg.state) current = msg.state;
                 draw();
+            } else if (msg.type === 'event') {
+                const ev = msg.event;
+                if (ev.type === 'collision') collisions.push({ t: ev.t, bodies: ev.bodies, pre: ev.pre, post: ev.post, keLost: ev.keLost });
+                events.push(ev);
+                appendEvent(events.length - 1);
             } else if (msg.type === 'done') {
                 running = false;
                 paused = false;
@@ -156,27 +404,25 @@
                 alert('Worker error: ' + msg.message);
             }
         };
-        points1 = [];
-        points2 = [];
-        current = {
-            x1: 0, y1: 0, vx1: 0, vy1: 0,
-            x2: 0, y2: 0, vx2: 0, vy2: 0,
-            t: 0,
-            collided: false,
-            momentumPre: null,
-            momentumPost: null
-        };
+        frames = [];
+        collisions = [];
+        events = [];
+        contactSort = { key: 't', dir: 1 };
+        renderEvents();
+        stopReplay();
+        viewIndex = null;
+        // Capture parameters so we know the radii for rendering.
+        const p = readParams();
+        simParams = { ...p };
+        current = launchState();
+        transforms = null;
         running = true;
         paused = false;
         startBtn.disabled = true;
         pauseBtn.disabled = false;
         pauseBtn.textContent = 'Pause';
-        updateHUD(0, 0, 0, 0);
         pInfoEl.innerHTML = '';
         draw();
-        // Capture parameters so we know the radii for rendering.
-        const p = readParams();
-        simParams = { r1: p.r1, r2: p.r2 };
         worker.postMessage({ type: 'start', params: p, speed: readSpeed() });
     }
     // Control button handlers
@@ -187,9 +433,13 @@
             paused = true;
             pauseBtn.textContent = 'Resume';
             worker.postMessage({ type: 'pause' });
+            // Enable the timeline and the contact sorting
+            updateTimeline();
         } else {
             paused = false;
             pauseBtn.textContent = 'Pause';
+            stopReplay();
+            viewIndex = null;
             worker.postMessage({ type: 'resume' });
         }
     });
@@ -197,154 +447,557 @@
         if (worker) worker.terminate();
         running = false;
         paused = false;
-        points1 = [];
-        points2 = [];
-        current = {
-            x1: 0, y1: 0, vx1: 0, vy1: 0,
-            x2: 0, y2: 0, vx2: 0, vy2: 0,
-            t: 0,
-            collided: false,
-            momentumPre: null,
-            momentumPost: null
-        };
+        frames = [];
+        collisions = [];
+        events = [];
+        renderEvents();
+        stopReplay();
+        viewIndex = null;
         startBtn.disabled = false;
         pauseBtn.disabled = true;
         pauseBtn.textContent = 'Pause';
-        updateHUD(0, 0, 0, 0);
         pInfoEl.innerHTML = '';
-        draw();
+        // Back to the preview of the bodies in the form
+        setupChanged();
     });
     applyBtn.addEventListener('click', startWithInputs);
     speedEl.addEventListener('change', () => {
         if (worker) worker.postMessage({ type: 'setSpeed', speed: readSpeed() });
     });
+    frameEl.addEventListener('change', draw);
+
+    // Replay timeline.  Each frame records the positions and velocities
+    // of every body, so a frame together with the collisions seen so far
+    // reconstructs the full state at that instant.
+    function shownState() {
+        const f = viewIndex !== null && frames[viewIndex] ? frames[viewIndex] : current;
+        // Latest collision at or before this instant
+        let c = null;
+        for (const k of collisions) {
+            if (k.t > f.t) break;
+            c = k;
+        }
+        return { t: f.t, data: f.data, collision: c };
+    }
+    function frameCount() {
+        return frames.length;
+    }
+    // Index of the last frame at or before time t
+    function frameAt(t) {
+        let lo = 0, hi = frameCount() - 1;
+        if (hi <= 0 || t >= frames[hi].t) return Math.max(0, hi);
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (frames[mid].t <= t) lo = mid; else hi = mid;
+        }
+        return lo;
+    }
+    function replayReady() {
+        return frameCount() > 1 && (!running || paused);
+    }
+    function showFrame(i) {
+        viewIndex = Math.min(frameCount() - 1, Math.max(0, i));
+        draw();
+    }
+    function stopReplay() {
+        replaying = false;
+        tlPlayBtn.textContent = '▶︎';
+        tlPlayBtn.title = 'Play replay';
+    }
+    function replayFrame(now) {
+        if (!replaying) return;
+        replayT += ((now - replayLast) / 1000) * (parseFloat(tlSpeedEl.value) || 0.25);
+        replayLast = now;
+        const last = frameCount() - 1;
+        if (replayT >= frames[last].t) {
+            stopReplay();
+            showFrame(last);
+            return;
+        }
+        showFrame(frameAt(replayT));
+        requestAnimationFrame(replayFrame);
+    }
+    function updateTimeline() {
+        const ready = replayReady();
+        exportCsvBtn.disabled = exportJsonBtn.disabled = running || frameCount() < 2;
+        // A live run keeps appending contacts in time order
+        for (const btn of sortBtns) btn.disabled = running && !paused;
+        const last = Math.max(0, frameCount() - 1);
+        for (const el of [tlBackBtn, tlPlayBtn, tlFwdBtn, tlSlider]) el.disabled = !ready;
+        tlSlider.max = last;
+        tlSlider.value = viewIndex !== null ? viewIndex : last;
+        tlTimeEl.textContent = `${shownState().t.toFixed(2)} s`;
+    }
+    tlSlider.addEventListener('input', () => {
+        if (!replayReady()) return;
+        stopReplay();
+        showFrame(+tlSlider.value);
+    });
+    tlBackBtn.addEventListener('click', () => {
+        stopReplay();
+        showFrame((viewIndex !== null ? viewIndex : frameCount() - 1) - 1);
+    });
+    tlFwdBtn.addEventListener('click', () => {
+        stopReplay();
+        showFrame((viewIndex !== null ? viewIndex : frameCount() - 1) + 1);
+    });
+    tlPlayBtn.addEventListener('click', () => {
+        if (!replayReady()) return;
+        if (replaying) {
+            stopReplay();
+            return;
+        }
+        // Start from the beginning when sitting on the last frame
+        const i = viewIndex !== null && viewIndex < frameCount() - 1 ? viewIndex : 0;
+        replayT = frames[i].t;
+        replayLast = performance.now();
+        replaying = true;
+        tlPlayBtn.textContent = '❚❚';
+        tlPlayBtn.title = 'Pause replay';
+        showFrame(i);
+        requestAnimationFrame(replayFrame);
+    });
+
+    // Event log: one row per event; clicking a row shows that instant
+    const EVENT_COLORS = { collision: '#ff6b8b', wall: '#f7e26b', crossing: '#82aaff' };
+    // Bodies are numbered from 0 in the worker's events and from 1 here
+    function describeEvent(e) {
+        if (e.type === 'collision') return `Body ${e.bodies[0] + 1} hit body ${e.bodies[1] + 1}`;
+        if (e.type === 'wall' && e.absorbed) return `Body ${e.body + 1} absorbed by the ${e.wall} wall`;
+        if (e.type === 'wall') return `Body ${e.body + 1} off the ${e.wall} wall`;
+        return `Body ${e.body + 1} crossed ${e.axis} = ${e.value} m`;
+    }
+    function eventRow(i) {
+        const e = events[i];
+        const v = e.type === 'collision' ? '–' : `(${e.vx.toFixed(2)}, ${e.vy.toFixed(2)}) m/s`;
+        return `
+            <tr data-event="${i}" title="Show this moment">
+                <td>${e.t.toFixed(3)} s</td>
+                <td><span class="swatch" style="background:${EVENT_COLORS[e.type]}"></span>${describeEvent(e)}</td>
+                <td>(${e.x.toFixed(2)}, ${e.y.toFixed(2)}) m</td>
+                <td>${v}</td>
+            </tr>`;
+    }
+    function renderEvents() {
+        eventsEl.classList.toggle('hidden', events.length === 0);
+        eventBody.innerHTML = events.map((_, i) => eventRow(i)).join('');
+        renderContacts();
+    }
+    // A crowd of bodies posts thousands of events, so live ones are added
+    // a row at a time rather than re-rendering the log
+    function appendEvent(i) {
+        eventsEl.classList.remove('hidden');
+        eventBody.insertAdjacentHTML('beforeend', eventRow(i));
+        if (isContact(events[i])) appendContact(i);
+    }
+    function showEvent(e) {
+        const row = e.target.closest('tr[data-event]');
+        if (!row || !replayReady()) return;
+        stopReplay();
+        showFrame(frameAt(events[+row.dataset.event].t));
+    }
+    eventBody.addEventListener('click', showEvent);
+
+    // Contact history: the collisions and wall hits among the events, with
+    // the impulse the (first) body received and the change in kinetic
+    // energy.  Rows keep their index into events.
+    function isContact(e) {
+        return e.type === 'collision' || e.type === 'wall';
+    }
+    // A wall event records the impulse the wall took; the body received
+    // the opposite.  Runs exported before impulses were recorded have none.
+    function contactImpulse(e) {
+        if (!e.impulse) return null;
+        return e.type === 'wall' ? { x: -e.impulse.x, y: -e.impulse.y } : e.impulse;
+    }
+    // Sort value of a contact for each sortable column
+    const CONTACT_SORTS = {
+        t: (e) => e.t,
+        contact: (e) => describeEvent(e),
+        impulse: (e) => {
+            const J = contactImpulse(e);
+            return J ? Math.hypot(J.x, J.y) : -Infinity;
+        },
+        dKE: (e) => (Number.isFinite(e.dKE) ? e.dKE : -Infinity)
+    };
+    function contactRow(i) {
+        const e = events[i];
+        const J = contactImpulse(e);
+        return `
+            <tr data-event="${i}" title="Show this moment">
+                <td>${e.t.toFixed(3)} s</td>
+                <td><span class="swatch" style="background:${EVENT_COLORS[e.type]}"></span>${describeEvent(e)}</td>
+                <td>(${e.x.toFixed(2)}, ${e.y.toFixed(2)}) m</td>
+                <td>${J ? `(${J.x.toFixed(2)}, ${J.y.toFixed(2)}) N·s` : '–'}</td>
+                <td>${Number.isFinite(e.dKE) ? `${e.dKE.toFixed(2)} J` : '–'}</td>
+            </tr>`;
+    }
+    function renderContacts() {
+        const list = [];
+        events.forEach((e, i) => { if (isContact(e)) list.push(i); });
+        const { key, dir } = contactSort;
+        const value = CONTACT_SORTS[key];
+        list.sort((a, b) => {
+            const va = value(events[a]), vb = value(events[b]);
+            const d = typeof va === 'string' ? va.localeCompare(vb, undefined, { numeric: true }) : va - vb;
+            return dir * d || a - b;
+        });
+        contactsEl.classList.toggle('hidden', list.length === 0);
+        contactBody.innerHTML = list.map(contactRow).join('');
+        for (const btn of sortBtns) {
+            const th = btn.closest('th');
+            if (btn.dataset.sort === key) th.setAttribute('aria-sort', dir > 0 ? 'ascending' : 'descending');
+            else th.removeAttribute('aria-sort');
+        }
+    }
+    // Live contacts arrive in time order, so they are appended unless the
+    // table has been sorted some other way while paused
+    function appendContact(i) {
+        if (contactSort.key !== 't' || contactSort.dir !== 1) {
+            contactSort = { key: 't', dir: 1 };
+            renderContacts();
+            return;
+        }
+        contactsEl.classList.remove('hidden');
+        contactBody.insertAdjacentHTML('beforeend', contactRow(i));
+    }
+    for (const btn of sortBtns) {
+        btn.addEventListener('click', () => {
+            const key = btn.dataset.sort;
+            contactSort = { key, dir: contactSort.key === key ? -contactSort.dir : 1 };
+            renderContacts();
+        });
+    }
+    contactBody.addEventListener('click', showEvent);
+    // Event lines show on the canvas straight away
+    function onLinesInput() {
+        if (running) return;
+        simParams = { ...simParams, lines: readLines() };
+        draw();
+    }
+    for (const el of [linesXEl, linesYEl]) el.addEventListener('change', onLinesInput);
+
+    // Export the run.  Each frame row holds every body; the collision
+    // momentum snapshots follow as a second table in the CSV and as the
+    // `collisions` list in JSON.
+    function exportRun(format) {
+        const n = frameCount();
+        if (n < 2) return;
+        if (format === 'json') {
+            const data = {
+                format: 'momentum-run',
+                version: 2,
+                params: simParams,
+                frames: frames.map(f => ({ t: f.t, data: Array.from(f.data) })),
+                collisions,
+                events
+            };
+            // Left unindented: a crowd of bodies makes for a lot of frame data
+            download('momentum-run.json', JSON.stringify(data), 'application/json');
+            return;
+        }
+        const lines = [];
+        for (const [k, v] of Object.entries(simParams)) lines.push(`# ${k},${typeof v === 'object' ? JSON.stringify(v) : v}`);
+        const head = ['t'];
+        simParams.bodies.forEach((_, i) => head.push(`x${i + 1}`, `y${i + 1}`, `vx${i + 1}`, `vy${i + 1}`));
+        lines.push(head.join(','));
+        for (let i = 0; i < n; i++) lines.push([frames[i].t, ...frames[i].data].join(','));
+        if (collisions.length) {
+            lines.push('');
+            // p1/p2 belong to body_a/body_b, with any bodies stuck to them
+            lines.push('collision_t,body_a,body_b,phase,p1x,p1y,p2x,p2y,total_px,total_py,ke');
+            for (const c of collisions) {
+                const [a, b] = c.bodies;
+                for (const [phase, m] of [['before', c.pre], ['after', c.post]]) {
+                    lines.push([c.t, a + 1, b + 1, phase, m.p1.px, m.p1.py, m.p2.px, m.p2.py, m.total.px, m.total.py, m.ke ?? ''].join(','));
+                }
+            }
+        }
+        const contacts = events.filter(isContact);
+        if (contacts.length) {
+            lines.push('');
+            // The impulse is the one `body` received; `with` is the other
+            // body or the wall
+            lines.push('contact_t,type,body,with,x,y,jx,jy,dke');
+            for (const e of contacts) {
+                const J = contactImpulse(e);
+                const [body, other] = e.type === 'collision' ? [e.bodies[0] + 1, e.bodies[1] + 1] : [e.body + 1, e.wall];
+                lines.push([e.t, e.type, body, other, e.x, e.y, J ? J.x : '', J ? J.y : '', e.dKE ?? ''].join(','));
+            }
+        }
+        download('momentum-run.csv', lines.join('\n') + '\n', 'text/csv');
+    }
+    function download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    // Show an exported JSON run without starting the worker.  The run's
+    // parameters are written back to the form so that "Apply & Restart"
+    // re-simulates it.
+    function loadRun(data) {
+        if (!data || data.format !== 'momentum-run') throw new Error('not a momentum run export');
+        const run = data.version === 1 ? fromVersion1(data) : data;
+        const params = run.params && typeof run.params === 'object' ? run.params : {};
+        const n = Array.isArray(params.bodies) ? params.bodies.length : 0;
+        if (!n || n > MAX_BODIES) throw new Error(`params need 1 to ${MAX_BODIES} bodies`);
+        params.bodies.forEach((b, i) => {
+            if (!b || typeof b !== 'object') throw new Error(`body ${i + 1} is not an object`);
+        });
+        if (!Array.isArray(run.frames) || run.frames.length < 2) throw new Error('run has no frames');
+        const list = run.frames.map((f, i) => {
+            if (!f || !Number.isFinite(+f.t)) throw new Error(`frame ${i} has no numeric t`);
+            if (!Array.isArray(f.data) || f.data.length !== 4 * n || !f.data.every(v => Number.isFinite(+v))) {
+                throw new Error(`frame ${i} does not hold ${n} bodies`);
+            }
+            return { t: +f.t, data: Float64Array.from(f.data, Number) };
+        });
+        // Everything is checked before the current run is torn down.  The
+        // markers and the absorbed bodies are found by walking the events
+        // in time order, so a reordered file is sorted here.
+        const pair = (b) => Array.isArray(b) && b.length === 2 && b.every(k => Number.isInteger(k) && k >= 0 && k < n);
+        const hits = (Array.isArray(run.collisions) ? run.collisions : [])
+            .filter(c => c && Number.isFinite(+c.t) && c.pre && c.post && pair(c.bodies))
+            .map(c => ({ ...c, t: +c.t }))
+            .sort((a, b) => a.t - b.t);
+        const marks = (Array.isArray(run.events) ? run.events : [])
+            .map(e => importEvent(e, n)).filter(Boolean)
+            .sort((a, b) => a.t - b.t);
+        if (worker) worker.terminate();
+        worker = null;
+        stopReplay();
+        viewIndex = null;
+        running = false;
+        paused = false;
+        startBtn.disabled = false;
+        pauseBtn.disabled = true;
+        pauseBtn.textContent = 'Pause';
+        // Runs exported before the box was a parameter used the default
+        // box with walls that bounce perfectly
+        writeParams({ box: { ...DEFAULT_BOX }, walls: 'bounce', wallE: { left: 1, right: 1, bottom: 1, top: 1 }, ...params });
+        simParams = readParams();
+        frames = list;
+        collisions = hits;
+        events = marks;
+        renderEvents();
+        // The final frame becomes the live state
+        current = frames[frames.length - 1];
+        transforms = null;
+        draw();
+    }
+    // A version 1 export held exactly two bodies, as points1/points2 and
+    // m1, r1, … params, with the bodies numbered from 1 in its events.
+    // Returns the run in the current layout.
+    function fromVersion1(data) {
+        const p = data.params || {};
+        const readBody = (list, name) => {
+            if (!Array.isArray(list) || list.length < 2) throw new Error(`${name} has no frames`);
+            return list.map((q, i) => {
+                for (const k of ['t', 'x', 'y', 'vx', 'vy']) {
+                    if (!Number.isFinite(+q[k])) throw new Error(`${name} frame ${i} has no numeric ${k}`);
+                }
+                return [+q.x, +q.y, +q.vx, +q.vy];
+            });
+        };
+        const b1 = readBody(data.points1, 'points1');
+        const b2 = readBody(data.points2, 'points2');
+        const body = (i) => ({ m: p['m' + i], r: p['r' + i], v: p['v' + i], angle: p['angle' + i], x: p['x' + i], y: p['y' + i] });
+        return {
+            params: { e: p.e, lines: p.lines, bodies: [body(1), body(2)] },
+            frames: data.points1.slice(0, Math.min(b1.length, b2.length)).map((q, i) => ({ t: +q.t, data: b1[i].concat(b2[i]) })),
+            collisions: (Array.isArray(data.collisions) ? data.collisions : []).map(c => ({ ...c, bodies: [0, 1] })),
+            events: (Array.isArray(data.events) ? data.events : []).map(e => {
+                if (!e) return e;
+                return e.type === 'collision' ? { ...e, bodies: [0, 1] } : { ...e, body: e.body - 1 };
+            })
+        };
+    }
+    // An imported event with the fields its log rows show checked and its
+    // numbers coerced, or null when it has none to show.  n is the number
+    // of bodies.
+    function importEvent(e, n) {
+        if (!e || !Object.hasOwn(EVENT_COLORS, e.type)) return null;
+        if (!['t', 'x', 'y'].every(k => Number.isFinite(+e[k]))) return null;
+        const body = (k) => Number.isInteger(k) && k >= 0 && k < n;
+        const out = { ...e, t: +e.t, x: +e.x, y: +e.y };
+        if (e.type === 'collision') {
+            if (!Array.isArray(e.bodies) || e.bodies.length !== 2 || !e.bodies.every(body)) return null;
+        } else {
+            if (!['vx', 'vy'].every(k => Number.isFinite(+e[k])) || !body(e.body)) return null;
+            out.vx = +e.vx;
+            out.vy = +e.vy;
+        }
+        if (e.type === 'wall') {
+            if (!WALLS.includes(e.wall)) return null;
+            if (e.absorbed !== undefined && !(Array.isArray(e.absorbed) && e.absorbed.every(body))) return null;
+        }
+        if (e.type === 'crossing') {
+            if (!['x', 'y'].includes(e.axis) || !Number.isFinite(+e.value)) return null;
+            out.value = +e.value;
+        }
+        if (e.impulse !== undefined) {
+            if (!e.impulse || !['x', 'y'].every(k => Number.isFinite(+e.impulse[k]))) return null;
+            out.impulse = { x: +e.impulse.x, y: +e.impulse.y };
+        }
+        if (e.dKE !== undefined) out.dKE = Number.isFinite(+e.dKE) ? +e.dKE : undefined;
+        return out;
+    }
+    exportCsvBtn.addEventListener('click', () => exportRun('csv'));
+    exportJsonBtn.addEventListener('click', () => exportRun('json'));
+    importBtn.addEventListener('click', () => importFileEl.click());
+    importFileEl.addEventListener('change', () => {
+        const file = importFileEl.files && importFileEl.files[0];
+        importFileEl.value = '';
+        if (!file) return;
+        file.text()
+            .then(text => loadRun(JSON.parse(text)))
+            .catch(err => alert('Import failed: ' + (err?.message || err)));
+    });
 
     // Drawing routines
     function draw() {
         const W = canvas.clientWidth, H = canvas.clientHeight;
         ctx.clearRect(0, 0, W, H);
-        const { sx, sy, pad } = getTransforms();
+        const { sx, sy, pad, scale } = getTransforms();
         grid(ctx, W, H, pad);
         drawAxisTicks();
+        // State at the replayed instant, or the live state
+        const s = shownState();
+        // Everything below is drawn in the chosen frame, less `shift`.  The
+        // box, event lines and markers are fixed in the lab; markers are
+        // only drawn there since each would need the shift at its own time.
+        const cm = s.data ? centreOfMass(s.data) : null;
+        const shift = frameShift(s, cm);
+        drawLines(shift);
+        drawBox(shift);
+        if (frameEl.value === 'lab') drawEvents(s.t);
+        const tally = wallTally(s.t);
         // Trajectories are no longer drawn for the collision simulation.
-        // Draw bodies at current positions.  Radii are scaled from the
-        // simulation's world units to pixels so that bodies visually
+        // Draw bodies at current positions.  Both axes share one scale, so
+        // radii scaled from world units to pixels make bodies visually
         // touch when they physically collide.  A minimum pixel radius
-        // ensures bodies remain visible at very small radii.
-        // Compute the on‑screen radii by averaging the scaling in both
-        // directions.  Using only the x‑axis scaling can make circles
-        // appear smaller than they physically are when the canvas aspect
-        // ratio is not square (e.g. ±10 m in x vs ±5 m in y).  By
-        // averaging the x and y scaled radii we maintain a roughly
-        // circular shape and ensure the visual collision occurs at
-        // exactly the same time as the physical collision in the
-        // simulation.
-        const r1PxX = Math.abs(sx(current.x1 + simParams.r1) - sx(current.x1));
-        const r1PxY = Math.abs(sy(current.y1 + simParams.r1) - sy(current.y1));
-        const r1Px = Math.max(4, (r1PxX + r1PxY) * 0.5);
-        const r2PxX = Math.abs(sx(current.x2 + simParams.r2) - sx(current.x2));
-        const r2PxY = Math.abs(sy(current.y2 + simParams.r2) - sy(current.y2));
-        const r2Px = Math.max(4, (r2PxX + r2PxY) * 0.5);
-        dot(ctx, sx(current.x1), sy(current.y1), r1Px, '#6fff9f');
-        dot(ctx, sx(current.x2), sy(current.y2), r2Px, '#5ec2ff');
+        // ensures bodies remain visible at very small radii.  Absorbed
+        // bodies are left as faded rings where they stopped.
+        const list = simParams.bodies;
+        const n = s.data ? Math.min(list.length, s.data.length / 4) : 0;
+        for (let i = 0; i < n; i++) {
+            const X = sx(s.data[4 * i] - shift.x), Y = sy(s.data[4 * i + 1] - shift.y), rPx = Math.max(4, list[i].r * scale);
+            if (tally.absorbed.has(i)) ring(ctx, X, Y, rPx, list[i].color);
+            else dot(ctx, X, Y, rPx, list[i].color);
+        }
         // Draw velocity vectors (arrows) to visualize direction of motion.  Each
         // arrow has a fixed world length (1 m) scaled by the current speed.
-        {
-            const v1mag = Math.hypot(current.vx1, current.vy1);
-            if (v1mag > 1e-8) {
-                const scale = 1 / v1mag; // 1 m arrow
-                const xEnd = current.x1 + current.vx1 * scale;
-                const yEnd = current.y1 + current.vy1 * scale;
-                drawArrow(ctx, sx, sy, current.x1, current.y1, xEnd, yEnd, '#6fff9f');
-            }
-            const v2mag = Math.hypot(current.vx2, current.vy2);
-            if (v2mag > 1e-8) {
-                const scale2 = 1 / v2mag;
-                const xEnd2 = current.x2 + current.vx2 * scale2;
-                const yEnd2 = current.y2 + current.vy2 * scale2;
-                drawArrow(ctx, sx, sy, current.x2, current.y2, xEnd2, yEnd2, '#5ec2ff');
+        // A crowd of bodies is left without arrows so that it stays readable.
+        if (n <= 20) {
+            for (let i = 0; i < n; i++) {
+                const x = s.data[4 * i] - shift.x, y = s.data[4 * i + 1] - shift.y;
+                const vx = s.data[4 * i + 2] - shift.vx, vy = s.data[4 * i + 3] - shift.vy;
+                const vmag = Math.hypot(vx, vy);
+                if (vmag <= 1e-8) continue;
+                const scale = 1 / vmag; // 1 m arrow
+                drawArrow(ctx, sx, sy, x, y, x + vx * scale, y + vy * scale, list[i].color);
             }
         }
-        // Update HUD with current positions
-        updateHUD(current.x1, current.y1, current.x2, current.y2);
+        if (cm) drawCentreOfMass(cm, shift);
+        // Update HUD with the system totals
+        updateHUD(s);
+        updateRunningMomentum(s, tally);
         // Display momentum information if available
-        updateMomentumInfo();
+        updateMomentumInfo(s);
+        updateWallInfo(tally);
         // Draw scale bar
         drawScaleBar();
+        updateTimeline();
     }
-    // Compute transforms based on both sets of points so that the
-    // viewport dynamically scales to include all motion.  The x and y
-    // ranges are taken over both bodies combined.
+    // Compute transforms mapping the simulation box onto the canvas with
+    // one scale for both axes, the box centred in the space left for it.
+    // Cached until the canvas is resized, new frames arrive or the box
+    // changes.
     function getTransforms() {
+        const box = simParams.box || DEFAULT_BOX;
         if (transforms &&
             transforms.W === canvas.clientWidth &&
             transforms.H === canvas.clientHeight &&
-            transforms.N1 === points1.length &&
-            transforms.N2 === points2.length) {
+            transforms.N === frames.length &&
+            transforms.box === box) {
             return transforms;
         }
         const W = canvas.clientWidth, H = canvas.clientHeight;
         const pad = { top: 16, right: 16, bottom: 44, left: 56 };
         const innerW = Math.max(1, W - pad.left - pad.right);
         const innerH = Math.max(1, H - pad.top - pad.bottom);
-        // Use fixed bounds for extents so the viewport remains consistent.
-        const maxX = Math.max(Math.abs(BOUNDS.xMin), Math.abs(BOUNDS.xMax));
-        const maxY = Math.max(Math.abs(BOUNDS.yMin), Math.abs(BOUNDS.yMax));
-        // Map coordinate preserving sign: allow negative positions by centring around origin
-        const sx = (x) => pad.left + ((x + maxX) / (2 * maxX)) * innerW;
-        const sy = (y) => H - pad.bottom - ((y + maxY) / (2 * maxY)) * innerH;
-        transforms = { sx, sy, pad, maxX, maxY, W, H, innerW, innerH, N1: points1.length, N2: points2.length };
+        const scale = Math.min(innerW / (box.xMax - box.xMin), innerH / (box.yMax - box.yMin));
+        const x0 = pad.left + (innerW - (box.xMax - box.xMin) * scale) / 2;
+        const y0 = H - pad.bottom - (innerH - (box.yMax - box.yMin) * scale) / 2;
+        const sx = (x) => x0 + (x - box.xMin) * scale;
+        const sy = (y) => y0 - (y - box.yMin) * scale;
+        transforms = { sx, sy, pad, box, scale, W, H, innerW, innerH, N: frames.length };
         return transforms;
     }
+    // Multiples of step from lo to hi
+    function ticks(lo, hi, step) {
+        const list = [];
+        for (let v = Math.ceil(lo / step - 1e-9) * step; v <= hi + 1e-9; v += step) list.push(v);
+        return list;
+    }
     // Draw grid and axes
     function grid(c, W, H, pad) {
-        const left = pad.left, right = W - pad.right;
-        const top = pad.top, bottom = H - pad.bottom;
         c.save();
-        // Draw background grid lines aligned to world coordinate ticks rather
-        // than fixed pixel spacing.  This ensures that the grid lines
-        // coincide with the axis tick labels and avoids the visual
-        // misalignment seen with a constant 40 px spacing.
-        const { sx, sy, maxX, maxY } = getTransforms();
-        const stepX = niceStep(maxX, 8);
-        const stepY = niceStep(maxY, 8);
+        // Background grid lines are aligned to world coordinate ticks, so
+        // that they coincide with the axis tick labels, and cover the box.
+        const { sx, sy, box } = getTransforms();
+        const left = sx(box.xMin), right = sx(box.xMax);
+        const top = sy(box.yMax), bottom = sy(box.yMin);
         c.strokeStyle = '#1c274f';
         c.lineWidth = 1;
         c.beginPath();
-        // vertical grid lines for each multiple of stepX across ±maxX
-        for (let x = -maxX; x <= maxX + 1e-9; x += stepX) {
-            const px = sx(x);
-            c.moveTo(px, top);
-            c.lineTo(px, bottom);
-        }
-        // horizontal grid lines for each multiple of stepY across ±maxY
-        for (let y = -maxY; y <= maxY + 1e-9; y += stepY) {
-            const py = sy(y);
-            c.moveTo(left, py);
-            c.lineTo(right, py);
+        for (const x of ticks(box.xMin, box.xMax, niceStep((box.xMax - box.xMin) / 2, 8))) {
+            c.moveTo(sx(x), top);
+            c.lineTo(sx(x), bottom);
+        }
+        for (const y of ticks(box.yMin, box.yMax, niceStep((box.yMax - box.yMin) / 2, 8))) {
+            c.moveTo(left, sy(y));
+            c.lineTo(right, sy(y));
         }
         c.stroke();
-        // draw the axes on top of the grid
+        // draw the axes through the origin on top of the grid, when the
+        // box contains it
         c.strokeStyle = '#2a355f';
         c.beginPath();
-        // x-axis through the origin (y=0)
-        const y0 = sy(0);
-        c.moveTo(left, y0);
-        c.lineTo(right, y0);
-        // y-axis through the origin (x=0)
-        const x0 = sx(0);
-        c.moveTo(x0, bottom);
-        c.lineTo(x0, top);
+        if (box.yMin < 0 && box.yMax > 0) {
+            c.moveTo(left, sy(0));
+            c.lineTo(right, sy(0));
+        }
+        if (box.xMin < 0 && box.xMax > 0) {
+            c.moveTo(sx(0), bottom);
+            c.lineTo(sx(0), top);
+        }
         c.stroke();
         c.restore();
     }
-    // Axis tick marks and labels
+    // Outline of the box, less the view frame's shift: red when the walls
+    // absorb, dashed when open
+    function drawBox(shift) {
+        const { sx, sy, box } = getTransforms();
+        ctx.save();
+        ctx.strokeStyle = simParams.walls === 'absorb' ? '#ff6b8b' : '#2f3f71';
+        ctx.lineWidth = 2;
+        if (simParams.walls === 'open') ctx.setLineDash([6, 6]);
+        const left = sx(box.xMin - shift.x), top = sy(box.yMax - shift.y);
+        ctx.strokeRect(left, top, sx(box.xMax - shift.x) - left, sy(box.yMin - shift.y) - top);
+        ctx.restore();
+    }
+    // Axis tick marks and labels along the bottom and left edges of the box
     function drawAxisTicks() {
-        const { sx, sy, pad, maxX, maxY, W, H } = getTransforms();
-        const bottom = H - pad.bottom, left = pad.left;
-        const right = W - pad.right;
-        // X axis ticks along positive and negative directions
-        const stepX = niceStep(maxX, 8);
+        const { sx, sy, box } = getTransforms();
+        const bottom = sy(box.yMin), left = sx(box.xMin);
+        const right = sx(box.xMax), top = sy(box.yMax);
+        const stepX = niceStep((box.xMax - box.xMin) / 2, 8);
         const decX = tickDecimals(stepX);
         ctx.save();
         // Use a slightly brighter colour for y-axis tick marks and labels
@@ -353,7 +1006,7 @@
         ctx.lineWidth = 1;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        for (let x = -maxX; x <= maxX + 1e-9; x += stepX) {
+        for (const x of ticks(box.xMin, box.xMax, stepX)) {
             const X = sx(x);
             ctx.beginPath(); ctx.moveTo(X, bottom); ctx.lineTo(X, bottom + 6); ctx.stroke();
             ctx.fillText(x.toFixed(decX), X, bottom + 8);
@@ -361,7 +1014,7 @@
         ctx.fillText('x (m)', right - 28, bottom + 28);
         ctx.restore();
         // Y axis ticks
-        const stepY = niceStep(maxY, 8);
+        const stepY = niceStep((box.yMax - box.yMin) / 2, 8);
         const decY = tickDecimals(stepY);
         ctx.save();
         // X-axis tick styling matches the y-axis styling for consistency
@@ -370,29 +1023,135 @@
         ctx.lineWidth = 1;
         ctx.textAlign = 'right';
         ctx.textBaseline = 'middle';
-        for (let y = -maxY; y <= maxY + 1e-9; y += stepY) {
+        for (const y of ticks(box.yMin, box.yMax, stepY)) {
             const Y = sy(y);
             ctx.beginPath(); ctx.moveTo(left - 6, Y); ctx.lineTo(left, Y); ctx.stroke();
             ctx.fillText(y.toFixed(decY), left - 8, Y);
         }
         ctx.save();
-        ctx.translate(left - 32, pad.top + 14);
+        ctx.translate(left - 32, top + 14);
         ctx.rotate(-Math.PI / 2);
         ctx.textAlign = 'center'; ctx.textBaseline = 'top';
         ctx.fillText('y (m)', 0, 0);
         ctx.restore();
         ctx.restore();
     }
+    // Dashed event lines across the box, less the view frame's shift,
+    // labelled with their position in the lab
+    function drawLines(shift) {
+        const lines = simParams.lines;
+        if (!lines || (!lines.x.length && !lines.y.length)) return;
+        const { sx, sy, box } = getTransforms();
+        ctx.save();
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = '#82aaff88';
+        ctx.fillStyle = '#82aaff';
+        ctx.lineWidth = 1;
+        ctx.font = '11px system-ui, sans-serif';
+        ctx.textBaseline = 'top';
+        for (const x of lines.x) {
+            const X = sx(x - shift.x);
+            if (x - shift.x < box.xMin || x - shift.x > box.xMax) continue;
+            ctx.beginPath();
+            ctx.moveTo(X, sy(box.yMax));
+            ctx.lineTo(X, sy(box.yMin));
+            ctx.stroke();
+            ctx.fillText(`x = ${x} m`, X + 4, sy(box.yMax) + 2);
+        }
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        for (const y of lines.y) {
+            const Y = sy(y - shift.y);
+            if (y - shift.y < box.yMin || y - shift.y > box.yMax) continue;
+            ctx.beginPath();
+            ctx.moveTo(sx(box.xMin), Y);
+            ctx.lineTo(sx(box.xMax), Y);
+            ctx.stroke();
+            ctx.fillText(`y = ${y} m`, sx(box.xMax) - 4, Y - 2);
+        }
+        ctx.restore();
+    }
+    // Centre of mass of the bodies in a frame's data, with its velocity
+    function centreOfMass(data) {
+        const list = simParams.bodies;
+        const n = Math.min(list.length, data.length / 4);
+        let m = 0, x = 0, y = 0, vx = 0, vy = 0;
+        for (let i = 0; i < n; i++) {
+            const mi = list[i].m;
+            m += mi;
+            x += mi * data[4 * i];
+            y += mi * data[4 * i + 1];
+            vx += mi * data[4 * i + 2];
+            vy += mi * data[4 * i + 3];
+        }
+        return m > 0 ? { x: x / m, y: y / m, vx: vx / m, vy: vy / m } : { x: 0, y: 0, vx: 0, vy: 0 };
+    }
+    // Shift from the lab to the view frame at the shown instant: positions
+    // and velocities are drawn less { x, y, vx, vy }.  A moving frame is
+    // anchored where its origin was at launch, so the bodies stay in view.
+    function frameShift(s, cm) {
+        const none = { x: 0, y: 0, vx: 0, vy: 0 };
+        const mode = frameEl.value;
+        if (mode === 'lab' || !s.data) return none;
+        const start = launchState().data;
+        if (mode === 'cm') {
+            const cm0 = centreOfMass(start);
+            return { x: cm.x - cm0.x, y: cm.y - cm0.y, vx: cm.vx, vy: cm.vy };
+        }
+        // Riding with body 1 or 2, when there is one
+        const k = 4 * (mode === 'body2' ? 1 : 0);
+        if (k >= s.data.length || k >= start.length) return none;
+        return { x: s.data[k] - start[k], y: s.data[k + 1] - start[k + 1], vx: s.data[k + 2], vy: s.data[k + 3] };
+    }
+    // Ring with a cross at the centre of mass, with a 1 m arrow along its
+    // velocity in the view frame and, in the lab frame, its value
+    function drawCentreOfMass(cm, shift) {
+        const { sx, sy } = getTransforms();
+        const x = cm.x - shift.x, y = cm.y - shift.y;
+        const vx = cm.vx - shift.vx, vy = cm.vy - shift.vy;
+        const X = sx(x), Y = sy(y);
+        ctx.save();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(X, Y, 7, 0, Math.PI * 2);
+        ctx.moveTo(X - 10, Y); ctx.lineTo(X + 10, Y);
+        ctx.moveTo(X, Y - 10); ctx.lineTo(X, Y + 10);
+        ctx.stroke();
+        ctx.restore();
+        const vmag = Math.hypot(vx, vy);
+        if (vmag > 1e-8) drawArrow(ctx, sx, sy, x, y, x + vx / vmag, y + vy / vmag, '#ffffff');
+        if (frameEl.value !== 'lab') return;
+        ctx.save();
+        ctx.font = '11px system-ui, sans-serif';
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`CM  v = (${cm.vx.toFixed(2)}, ${cm.vy.toFixed(2)}) m/s`, X + 10, Y - 10);
+        ctx.restore();
+    }
+    // Diamond marker at each event reached by the shown time
+    function drawEvents(t) {
+        if (!events.length) return;
+        const { sx, sy } = getTransforms();
+        ctx.save();
+        for (const e of events) {
+            if (e.t > t + 1e-9) break;
+            const X = sx(e.x), Y = sy(e.y);
+            ctx.fillStyle = EVENT_COLORS[e.type];
+            ctx.beginPath();
+            ctx.moveTo(X, Y - 5); ctx.lineTo(X + 5, Y); ctx.lineTo(X, Y + 5); ctx.lineTo(X - 5, Y);
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.restore();
+    }
     // Draw a scale bar indicating distance in meters
     function drawScaleBar() {
-        const { sx, pad, maxX, H } = getTransforms();
-        const step = niceStep(maxX, 6);
-        // px distance for positive step (0->step) but relative to symmetric mapping
-        const pxStart = sx(-maxX);
-        const pxEnd = sx(-maxX + step);
-        const px = pxEnd - pxStart;
-        const y = H - pad.bottom + 22;
-        const x = pad.left;
+        const { sx, sy, box, scale } = getTransforms();
+        const step = niceStep((box.xMax - box.xMin) / 2, 6);
+        const px = step * scale;
+        const y = sy(box.yMin) + 22;
+        const x = sx(box.xMin);
         ctx.save();
         ctx.lineWidth = 3;
         // Use semi-transparent primary colour for the scale bar line
@@ -417,6 +1176,14 @@
         return Math.min(6, e);
     }
     function dot(c, x, y, r, color) { c.fillStyle = color; c.beginPath(); c.arc(x, y, r, 0, Math.PI * 2); c.fill(); }
+    function ring(c, x, y, r, color) {
+        c.save();
+        c.globalAlpha = 0.45;
+        c.strokeStyle = color;
+        c.lineWidth = 2;
+        c.beginPath(); c.arc(x, y, Math.max(1, r - 1), 0, Math.PI * 2); c.stroke();
+        c.restore();
+    }
     // Draw an arrow from (sx(x), sy(y)) toward (sx(x2), sy(y2)).  The arrowhead size
     // is proportional to the line width.  Coordinates are in world space.
     function drawArrow(ctx, sxFunc, syFunc, x1, y1, x2, y2, color) {
@@ -442,32 +1209,99 @@
         ctx.fill();
         ctx.restore();
     }
-    function updateHUD(x1, y1, x2, y2) {
-        hud1XEl.textContent = `${(x1 || 0).toFixed(2)} m`;
-        hud1YEl.textContent = `${(y1 || 0).toFixed(2)} m`;
-        hud2XEl.textContent = `${(x2 || 0).toFixed(2)} m`;
-        hud2YEl.textContent = `${(y2 || 0).toFixed(2)} m`;
-    }
-    // Display momentum pre/post collision if available
-    function updateMomentumInfo() {
-        const pre = current.momentumPre;
-        const post = current.momentumPost;
-        if (!current.collided) {
+    // Number of bodies and the momentum and kinetic energy of the whole
+    // system at the shown instant
+    function systemTotals(s) {
+        const list = simParams.bodies;
+        const n = s.data ? Math.min(list.length, s.data.length / 4) : 0;
+        let px = 0, py = 0, ke = 0;
+        for (let i = 0; i < n; i++) {
+            const m = list[i].m, vx = s.data[4 * i + 2], vy = s.data[4 * i + 3];
+            px += m * vx;
+            py += m * vy;
+            ke += 0.5 * m * (vx * vx + vy * vy);
+        }
+        return { n, px, py, ke };
+    }
+    function updateHUD(s) {
+        const { n, px, py, ke } = systemTotals(s);
+        hudNEl.textContent = n;
+        hudPEl.textContent = `(${px.toFixed(2)}, ${py.toFixed(2)}) kg·m/s`;
+        hudKEEl.textContent = `${ke.toFixed(2)} J`;
+    }
+    // Bodies absorbed by the walls up to time t, and the impulse each wall
+    // has taken from the bodies, bouncing or absorbing them
+    function wallTally(t) {
+        const absorbed = new Set();
+        const impulse = {};
+        for (const w of WALLS) impulse[w] = { x: 0, y: 0 };
+        for (const e of events) {
+            if (e.t > t + 1e-9) break;
+            if (e.type !== 'wall') continue;
+            if (e.absorbed) for (const k of e.absorbed) absorbed.add(k);
+            if (e.impulse) {
+                impulse[e.wall].x += e.impulse.x;
+                impulse[e.wall].y += e.impulse.y;
+            }
+        }
+        return { absorbed, impulse };
+    }
+    // Absorbed count and impulse per wall, shown while the walls absorb
+    function updateWallInfo(tally) {
+        const show = simParams.walls === 'absorb';
+        wallInfoEl.classList.toggle('hidden', !show);
+        if (!show) return;
+        const fmt = (p) => `(${p.x.toFixed(2)}, ${p.y.toFixed(2)}) N·s`;
+        wallInfoEl.innerHTML = `
+            <div class="row"><strong>Absorbed ${tally.absorbed.size} of ${simParams.bodies.length} bodies</strong></div>
+            ${WALLS.map(w => `<div class="row"><span class="k">J ${w}</span><span>${fmt(tally.impulse[w])}</span></div>`).join('')}
+        `;
+    }
+    // Momentum of the bodies alone changes at every wall hit; adding what
+    // the walls have taken gives the conserved total
+    function updateRunningMomentum(s, tally) {
+        const { px, py } = systemTotals(s);
+        let wx = 0, wy = 0;
+        for (const w of WALLS) {
+            wx += tally.impulse[w].x;
+            wy += tally.impulse[w].y;
+        }
+        pBodiesEl.textContent = `(${px.toFixed(2)}, ${py.toFixed(2)}) kg·m/s`;
+        pWallsEl.textContent = `(${(px + wx).toFixed(2)}, ${(py + wy).toFixed(2)}) kg·m/s`;
+    }
+    // Display momentum pre/post of the latest collision if available
+    function updateMomentumInfo(s) {
+        const c = s.collision;
+        if (!c) {
             pInfoEl.innerHTML = '';
             return;
         }
+        const pre = c.pre;
+        const post = c.post;
+        // Subscripted labels for the two bodies, numbered from 1
+        const sub = (i) => String(i + 1).replace(/\d/g, d => '₀₁₂₃₄₅₆₇₈₉'[d]);
+        const [a, b] = c.bodies.map(sub);
         function fmt(p) {
             return `(${p.px.toFixed(2)}, ${p.py.toFixed(2)})`;
         }
+        // Runs exported before restitution was added carry no energies
+        let energy = '';
+        if (Number.isFinite(pre.ke) && Number.isFinite(post.ke)) {
+            const lost = pre.ke - post.ke;
+            const pct = pre.ke > 0 ? ` (${((100 * lost) / pre.ke).toFixed(1)}%)` : '';
+            energy = `
+            <div class="row" style="margin-top:6px;"><span class="k">KE</span><span>${pre.ke.toFixed(2)} J → ${post.ke.toFixed(2)} J</span></div>
+            <div class="row"><span class="k">KE lost</span><span>${Math.max(0, lost).toFixed(2)} J${pct}</span></div>`;
+        }
         pInfoEl.innerHTML = `
-            <div class="row"><strong>Momentum before collision:</strong></div>
-            <div class="row"><span class="k">p₁</span><span>${fmt(pre.p1)}</span></div>
-            <div class="row"><span class="k">p₂</span><span>${fmt(pre.p2)}</span></div>
+            <div class="row"><strong>Momentum before collision of bodies ${c.bodies[0] + 1} and ${c.bodies[1] + 1}:</strong></div>
+            <div class="row"><span class="k">p${a}</span><span>${fmt(pre.p1)}</span></div>
+            <div class="row"><span class="k">p${b}</span><span>${fmt(pre.p2)}</span></div>
             <div class="row"><span class="k">Σp</span><span>${fmt(pre.total)}</span></div>
             <div class="row" style="margin-top:6px;"><strong>Momentum after collision:</strong></div>
-            <div class="row"><span class="k">p₁</span><span>${fmt(post.p1)}</span></div>
-            <div class="row"><span class="k">p₂</span><span>${fmt(post.p2)}</span></div>
-            <div class="row"><span class="k">Σp</span><span>${fmt(post.total)}</span></div>
+            <div class="row"><span class="k">p${a}</span><span>${fmt(post.p1)}</span></div>
+            <div class="row"><span class="k">p${b}</span><span>${fmt(post.p2)}</span></div>
+            <div class="row"><span class="k">Σp</span><span>${fmt(post.total)}</span></div>${energy}
         `;
     }
 })();
\ No newline at end of file
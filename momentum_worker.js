@@ -1,25 +1,63 @@
 /*
-  Worker thread: simulates a two-body collision in 2‑D space using
-  constant velocity motion until a collision occurs, then resolves the
-  velocities using conservation of momentum and kinetic energy (perfectly
-  elastic collision).  This worker uses the same wall‑clock pacing logic
-  as the projectile simulation so that the simulation advances in
-  proportion to real time, scaled by a user adjustable SPEED.
-
-  The simulation handles arbitrary masses, initial speeds and launch
-  angles for each body.  Positions and velocities are integrated with a
-  fixed time step `dt` and the worker accumulates wall time to decide
-  when to perform discrete simulation steps.  When the separation
-  between the two bodies is less than or equal to the sum of their
-  radii, the collision response is computed using the standard 2‑D
-  elastic collision formula:
-
-      v1' = v1 − (2·m2/(m1+m2)) * [((v1 − v2)·(x1 − x2)) / |x1 − x2|²] * (x1 − x2)
-      v2' = v2 − (2·m1/(m1+m2)) * [((v2 − v1)·(x2 − x1)) / |x2 − x1|²] * (x2 − x1)
-
-  Both pre‑collision and post‑collision momentum vectors are computed and
+  Worker thread: simulates collisions between any number of bodies in
+  2‑D space using constant velocity motion until two of them touch, then
+  resolves the velocities using conservation of momentum and a
+  coefficient of restitution e.  This worker uses the same wall‑clock
+  pacing logic as the projectile simulation so that the simulation
+  advances in proportion to real time, scaled by a user adjustable SPEED.
+
+  Each body has its own mass, radius, initial speed, launch angle and
+  position.  Positions and velocities are integrated with a fixed time
+  step `dt` and the worker accumulates wall time to decide when to
+  perform discrete simulation steps.  Within a step every body moves in a
+  straight line.  Pairs that end the step overlapping are found with a
+  spatial grid (cells twice the largest radius wide, so only neighbouring
+  cells need testing) and the earliest contact is resolved first, at the
+  moment the two touch.  When bodies i and j touch, an impulse J along
+  the line of centres n = (xi − xj)/|xi − xj| reverses the normal part of
+  the relative velocity, scaled by e:
+
+      J  = −(1 + e) * ((vi − vj)·n) / (1/mi + 1/mj)
+      vi' = vi + (J/mi) * n,   vj' = vj − (J/mj) * n
+
+  e = 1 is perfectly elastic (kinetic energy conserved) and reduces to the
+  standard 2‑D elastic collision formula.  At e = 0 the bodies stick
+  together and move on as one combined body at the centre‑of‑mass
+  velocity, bouncing off the walls together; a later collision with the
+  combined body uses its total mass.
+
+  The bodies move in a box whose edges are start parameters; the first
+  tick echoes the box back so that the UI draws exactly what is
+  simulated.  Walls either bounce bodies back, each with its own
+  restitution, absorb them (a body that reaches an absorbing wall stops
+  there and the impulse it delivers is counted), or are left out
+  altogether so that bodies fly off for good.
+
+  Both pre‑collision and post‑collision momentum vectors of the two
+  colliding bodies, with their total kinetic energy, are computed and
   returned to the UI so it can display the change in momentum for each
-  body and verify conservation of momentum.
+  body, verify conservation of momentum and show the kinetic energy lost.
+
+  Frames stream to the UI as { t, data }, with `data` a Float64Array of
+  x, y, vx, vy for each body in turn (transferred, not copied).
+
+  Key moments are posted as `event` messages, each at its time within
+  the step: body-body collisions (which bodies, with the momentum
+  snapshots), wall hits (which body, which wall, the impulse delivered and,
+  for absorbing walls, the bodies absorbed) and crossings of the
+  user-defined event lines x = const or y = const by a body's centre.
+  Every contact, with another body or a wall, also carries its impulse
+  { x, y } and the change in kinetic energy `dKE` it caused, so the UI
+  can keep a full contact history.  Bodies are numbered from 0 in
+  messages.
+
+  A `compute` message runs the whole simulation headless, as fast as
+  possible, and replies with a single `computeResult`: the trajectory as
+  typed-array columns (t per frame; x, y, vx, vy per frame and body, one
+  frame after another; transferred, not copied), every collision with its
+  momentum snapshots, the events, and a summary with the first collision
+  time, the box, the bodies absorbed and the impulse each wall took.  It
+  does not disturb a paced run in progress.
 */
 
 // Wall‑clock pacing (scaled real‑time).  The SPEED factor determines
@@ -32,52 +70,51 @@ let SPEED = 0.25;
 // matching the projectile POC worker.
 const MAX_STEPS = 10;
 
+// Largest number of bodies accepted
+const MAX_BODIES = 500;
+
 // Default parameters for the collision simulation.  These values are
 // overridden when the main thread posts a `start` message with
 // user‑specified parameters.
 const defaults = {
-    m1: 1.0,      // kg
-    m2: 1.0,      // kg
-    r1: 0.25,      // m (radius of body 1)
-    r2: 0.25,      // m (radius of body 2)
-    v1: 5.0,      // m/s (speed magnitude of body 1)
-    angle1: 0.0,  // degrees (direction of body 1)
-    v2: 5.0,      // m/s (speed magnitude of body 2)
-    angle2: 180.0,// degrees (direction of body 2)
-    x1: -5.0,     // initial x position of body 1
-    y1: 0.0,      // initial y position of body 1
-    x2: 5.0,      // initial x position of body 2
-    y2: 0.0,      // initial y position of body 2
+    // Each body: mass (kg), radius (m), speed (m/s), direction (degrees)
+    // and initial position (m)
+    bodies: [
+        { m: 1.0, r: 0.25, v: 5.0, angle: 0.0, x: -5.0, y: 0.0 },
+        { m: 1.0, r: 0.25, v: 5.0, angle: 180.0, x: 5.0, y: 0.0 }
+    ],
+    e: 1.0,       // coefficient of restitution (1 elastic, 0 sticky)
     dt: 0.005,    // s (simulation time step)
-    maxT: 10.0    // s (maximum simulation time)
-    // Note: bounds are defined separately below
+    maxT: 10.0,   // s (maximum simulation time)
+    lines: { x: [], y: [] }, // event lines x = const and y = const (m)
+    // Edges of the simulation box (m)
+    box: { xMin: -10.0, xMax: 10.0, yMin: -5.0, yMax: 5.0 },
+    walls: 'bounce', // 'bounce', 'absorb' or 'open' (no walls)
+    // Restitution of each wall when bouncing
+    wallE: { left: 1.0, right: 1.0, bottom: 1.0, top: 1.0 }
 };
 
-// Boundaries for the simulation domain.  Bodies will bounce when
-// reaching these edges.  The X range is symmetric around the origin
-// (±10 m) and the Y range is ±5 m.  These values can be adjusted to
-// change the size of the simulated box without affecting the UI.
-const BOUNDS = {
-    xMin: -10.0,
-    xMax: 10.0,
-    yMin: -5.0,
-    yMax: 5.0
-};
+// Wall modes accepted in params.walls
+const WALL_MODES = ['bounce', 'absorb', 'open'];
 
 // Worker state variables.  These are reinitialised on every `start`
 // message.
 let params = { ...defaults };
 let running = false;
-let state = null; // { x1, y1, vx1, vy1, x2, y2, vx2, vy2, t }
-// The `inContact` flag is true while the two bodies are overlapping (i.e.
-// distance <= r1 + r2).  It prevents resolving a collision on every
-// integration step while the bodies remain in contact.  When the bodies
-// separate, `inContact` resets to false so a subsequent collision will
-// be handled correctly.
-let inContact = false;
+let state = null; // { t, bodies: [{ x, y, vx, vy }] }
+// Pairs of bodies that are overlapping, keyed i * N + j (i < j).  A pair
+// is resolved when it first touches, not on every integration step while
+// the bodies remain in contact.  It leaves the set when the bodies
+// separate, so a later collision will be handled correctly.
+let contacts = new Set();
+// Bodies joined by e = 0 collisions: groups[i] is the list of bodies
+// moving as one with body i, shared by all of them
+let groups = [];
+// Per body, 1 once an absorbing wall has stopped it
+let absorbed = new Uint8Array(0);
 // Momentum snapshots before and after the most recent collision.  These
 // are used to report the last collision to the UI.
-let momentumPre = null;  // { p1: {px, py}, p2: {px, py}, total: {px, py} }
+let momentumPre = null;  // { p1: {px, py}, p2: {px, py}, total: {px, py}, ke, t }
 let momentumPost = null; // same structure as momentumPre
 let loopTimer = null;
 let lastReal = 0;  // ms timestamp of last loop iteration
@@ -103,6 +140,13 @@ self.onmessage = (e) => {
             loop();
         } else if (msg.type === 'setSpeed') {
             if (Number.isFinite(+msg.speed) && +msg.speed > 0) SPEED = +msg.speed;
+        } else if (msg.type === 'compute') {
+            const live = params;
+            applyParams(msg.params);
+            const result = compute();
+            params = live;
+            const buffers = Object.values(result.trajectory).map(a => a.buffer);
+            postMessage({ type: 'computeResult', id: msg.id, ...result }, buffers);
         }
     } catch (err) {
         postMessage({ type: 'error', message: String(err?.message || err) });
@@ -114,291 +158,524 @@ self.onmessage = (e) => {
 // outside reasonable ranges are clamped.
 function applyParams(p = {}) {
     const next = { ...params };
-    if (Number.isFinite(+p.m1) && +p.m1 > 0) next.m1 = +p.m1;
-    if (Number.isFinite(+p.m2) && +p.m2 > 0) next.m2 = +p.m2;
-    if (Number.isFinite(+p.r1) && +p.r1 > 0) next.r1 = +p.r1;
-    if (Number.isFinite(+p.r2) && +p.r2 > 0) next.r2 = +p.r2;
-    if (Number.isFinite(+p.v1) && +p.v1 >= 0) next.v1 = +p.v1;
-    if (Number.isFinite(+p.angle1)) next.angle1 = +p.angle1;
-    if (Number.isFinite(+p.v2) && +p.v2 >= 0) next.v2 = +p.v2;
-    if (Number.isFinite(+p.angle2)) next.angle2 = +p.angle2;
-    if (Number.isFinite(+p.x1)) next.x1 = +p.x1;
-    if (Number.isFinite(+p.y1)) next.y1 = +p.y1;
-    if (Number.isFinite(+p.x2)) next.x2 = +p.x2;
-    if (Number.isFinite(+p.y2)) next.y2 = +p.y2;
+    if (Array.isArray(p.bodies)) {
+        const bodies = sanitizeBodies(p.bodies);
+        if (bodies.length) next.bodies = bodies;
+    }
+    if (Number.isFinite(+p.e)) next.e = Math.min(1, Math.max(0, +p.e));
     if (Number.isFinite(+p.dt) && +p.dt > 0) next.dt = +p.dt;
     if (Number.isFinite(+p.maxT) && +p.maxT > 0) next.maxT = +p.maxT;
+    if (p.lines) next.lines = sanitizeLines(p.lines);
+    if (p.box) next.box = sanitizeBox(p.box) || next.box;
+    if (WALL_MODES.includes(p.walls)) next.walls = p.walls;
+    if (p.wallE) {
+        next.wallE = { ...next.wallE };
+        for (const wall of Object.keys(next.wallE)) {
+            if (Number.isFinite(+p.wallE[wall])) next.wallE[wall] = Math.min(1, Math.max(0, +p.wallE[wall]));
+        }
+    }
     params = next;
 }
 
+// Validate the box: finite edges with xMin < xMax and yMin < yMax, else null
+function sanitizeBox(b) {
+    const [xMin, xMax, yMin, yMax] = ['xMin', 'xMax', 'yMin', 'yMax'].map(k => +b[k]);
+    if (![xMin, xMax, yMin, yMax].every(Number.isFinite) || xMin >= xMax || yMin >= yMax) return null;
+    return { xMin, xMax, yMin, yMax };
+}
+
+// Validate the bodies, keeping at most MAX_BODIES.  Each needs a finite
+// position; an invalid mass, radius, speed or angle takes its default.
+function sanitizeBodies(list) {
+    const out = [];
+    for (const b of list) {
+        if (!b || !Number.isFinite(+b.x) || !Number.isFinite(+b.y)) continue;
+        out.push({
+            m: +b.m > 0 ? +b.m : 1.0,
+            r: +b.r > 0 ? +b.r : 0.25,
+            v: +b.v >= 0 ? +b.v : 0,
+            angle: Number.isFinite(+b.angle) ? +b.angle : 0,
+            x: +b.x,
+            y: +b.y
+        });
+        if (out.length === MAX_BODIES) break;
+    }
+    return out;
+}
+
+// Validate the event lines: up to 10 finite positions on each axis
+// (mirrors sanitizeLines in proj_worker.js)
+function sanitizeLines(l) {
+    const axis = (list) => (Array.isArray(list) ? list : []).map(Number).filter(Number.isFinite).slice(0, 10);
+    return { x: axis(l.x), y: axis(l.y) };
+}
+
+// Launch state of every body from the current params
+function initialState() {
+    return {
+        t: 0,
+        bodies: params.bodies.map(b => {
+            const th = (b.angle * Math.PI) / 180;
+            return { x: b.x, y: b.y, vx: b.v * Math.cos(th), vy: b.v * Math.sin(th) };
+        })
+    };
+}
+
+// Reset the contact and sticking bookkeeping for a new run.  Bodies that
+// start overlapping count as already in contact, so they drift apart
+// rather than collide.
+function resetContacts() {
+    const n = state.bodies.length;
+    contacts = new Set();
+    groups = state.bodies.map((_, i) => [i]);
+    absorbed = new Uint8Array(n);
+    forNeighbours((i, j) => {
+        if (overlapping(i, j)) contacts.add(i * n + j);
+    });
+}
+
 // Initialise state and prime the first message.  This method is called
 // whenever the UI sends a `start` message to the worker.
 function start() {
-    const th1 = (params.angle1 * Math.PI) / 180;
-    const th2 = (params.angle2 * Math.PI) / 180;
-    state = {
-        x1: params.x1,
-        y1: params.y1,
-        vx1: params.v1 * Math.cos(th1),
-        vy1: params.v1 * Math.sin(th1),
-        x2: params.x2,
-        y2: params.y2,
-        vx2: params.v2 * Math.cos(th2),
-        vy2: params.v2 * Math.sin(th2),
-        t: 0
-    };
-    // Reset contact flag so that collisions can be detected
-    inContact = false;
+    state = initialState();
+    resetContacts();
     momentumPre = null;
     momentumPost = null;
     running = true;
     acc = 0;
     lastReal = performance.now();
 
-    // Send the initial state to seed the UI.  Each body contributes a
-    // single point and the state includes velocity information.  We
-    // duplicate the logic used in the projectile worker for consistency.
+    // Send the initial state to seed the UI as a single frame, with the
+    // box actually simulated
+    const first = frame(state.t);
     postMessage({
         type: 'tick',
-        points1: [{ x: state.x1, y: state.y1, t: state.t }],
-        points2: [{ x: state.x2, y: state.y2, t: state.t }],
+        frames: [first],
         state: {
-            x1: state.x1, y1: state.y1, vx1: state.vx1, vy1: state.vy1,
-            x2: state.x2, y2: state.y2, vx2: state.vx2, vy2: state.vy2,
             t: state.t,
+            box: params.box,
             // Indicate no collision has occurred yet
             collided: false,
             momentumPre: momentumPre,
             momentumPost: momentumPost
         }
-    });
+    }, [first.data.buffer]);
 
     clearTimer();
     loop();
 }
 
-// Compute the momentum for each body and the total system momentum.  The
-// returned object contains the x and y components for each body as well
-// as the total.
-function computeMomentum(s) {
-    const p1 = { px: params.m1 * s.vx1, py: params.m1 * s.vy1 };
-    const p2 = { px: params.m2 * s.vx2, py: params.m2 * s.vy2 };
+// Frame of every body's position and velocity streamed to the UI.
+// Velocities are included so that the UI holds the full state history
+// and can replay any instant.  `at(i)`, when given, supplies body i's
+// position part way through a step.
+function frame(t, at) {
+    const data = new Float64Array(4 * state.bodies.length);
+    state.bodies.forEach((b, i) => {
+        const [x, y] = at ? at(i) : [b.x, b.y];
+        data[4 * i] = x;
+        data[4 * i + 1] = y;
+        data[4 * i + 2] = b.vx;
+        data[4 * i + 3] = b.vy;
+    });
+    return { t, data };
+}
+
+// True when bodies i and j touch or overlap at their current positions
+function overlapping(i, j) {
+    const a = state.bodies[i], b = state.bodies[j];
+    return Math.hypot(a.x - b.x, a.y - b.y) <= params.bodies[i].r + params.bodies[j].r;
+}
+
+// Total mass, momentum and kinetic energy of a list of bodies
+function groupTotals(list) {
+    let m = 0, px = 0, py = 0, ke = 0;
+    for (const k of list) {
+        const b = state.bodies[k], mk = params.bodies[k].m;
+        m += mk;
+        px += mk * b.vx;
+        py += mk * b.vy;
+        ke += 0.5 * mk * (b.vx * b.vx + b.vy * b.vy);
+    }
+    return { m, px, py, ke };
+}
+
+// Compute the momentum of the two colliding bodies (each with any bodies
+// stuck to it, given as lists) and their total.  The returned object
+// contains the x and y components for each as well as the total, the
+// total kinetic energy `ke` and the time `t`.
+function computeMomentum(listA, listB, t) {
+    const a = groupTotals(listA), b = groupTotals(listB);
     return {
-        p1,
-        p2,
-        total: { px: p1.px + p2.px, py: p1.py + p2.py }
+        p1: { px: a.px, py: a.py },
+        p2: { px: b.px, py: b.py },
+        total: { px: a.px + b.px, py: a.py + b.py },
+        ke: a.ke + b.ke,
+        t
     };
 }
 
-// Resolve the collision between the two bodies.  This updates the
-// velocities on `state` and sets the `collided`, `momentumPre` and
-// `momentumPost` flags/values accordingly.
-function resolveCollision() {
-    // Only resolve when not already in contact; otherwise this would
-    // repeatedly invert velocities on subsequent integration steps.
-    if (inContact) return;
+// Resolve the collision between bodies i and j at simulation time `t`,
+// with (nx, ny) the unit normal along the line of centres from j to i.
+// This updates the velocities on `state` of both bodies and any stuck to
+// them, and sets `momentumPre` and `momentumPost`.  Both snapshots carry
+// the collision time so the UI can match them to a replayed instant.
+function resolveCollision(i, j, nx, ny, t) {
+    const listA = groups[i].slice(), listB = groups[j].slice();
     // Capture momentum before resolving
-    momentumPre = computeMomentum(state);
-    const m1 = params.m1;
-    const m2 = params.m2;
-    const x1 = state.x1;
-    const y1 = state.y1;
-    const x2 = state.x2;
-    const y2 = state.y2;
-    // Relative position vectors
-    const dx12 = x1 - x2;
-    const dy12 = y1 - y2;
-    const dist2 = dx12 * dx12 + dy12 * dy12 || 1e-12;
-    // Velocities before collision
-    const v1x = state.vx1, v1y = state.vy1;
-    const v2x = state.vx2, v2y = state.vy2;
-    // Velocity differences
-    const dv1x = v1x - v2x;
-    const dv1y = v1y - v2y;
-    // Dot product of relative velocity and relative position
-    const dot1 = dv1x * dx12 + dv1y * dy12;
-    // Compute impulse factor for body 1
-    const factor1 = (2 * m2 / (m1 + m2)) * (dot1 / dist2);
-    // Update velocities for body 1
-    const vx1New = v1x - factor1 * dx12;
-    const vy1New = v1y - factor1 * dy12;
-    // For body 2, swap roles
-    const dx21 = -dx12;
-    const dy21 = -dy12;
-    const dv2x = v2x - v1x;
-    const dv2y = v2y - v1y;
-    const dot2 = dv2x * dx21 + dv2y * dy21;
-    const factor2 = (2 * m1 / (m1 + m2)) * (dot2 / dist2);
-    const vx2New = v2x - factor2 * dx21;
-    const vy2New = v2y - factor2 * dy21;
-    state.vx1 = vx1New;
-    state.vy1 = vy1New;
-    state.vx2 = vx2New;
-    state.vy2 = vy2New;
-    // Mark that a collision has been resolved for this contact.  The
-    // `inContact` flag will be cleared when the bodies separate.
-    inContact = true;
+    momentumPre = computeMomentum(listA, listB, t);
+    const a = groupTotals(listA), b = groupTotals(listB);
+    let vxA = a.px / a.m, vyA = a.py / a.m;
+    let vxB = b.px / b.m, vyB = b.py / b.m;
+    if (params.e === 0) {
+        // Perfectly inelastic: both continue at the centre-of-mass velocity
+        // and from now on move as one
+        vxA = vxB = (a.px + b.px) / (a.m + b.m);
+        vyA = vyB = (a.py + b.py) / (a.m + b.m);
+        const joined = listA.concat(listB);
+        for (const k of joined) groups[k] = joined;
+    } else {
+        // Normal relative velocity (< 0 while approaching)
+        const vn = (vxA - vxB) * nx + (vyA - vyB) * ny;
+        const J = (-(1 + params.e) * vn) / (1 / a.m + 1 / b.m);
+        vxA += (J / a.m) * nx;
+        vyA += (J / a.m) * ny;
+        vxB -= (J / b.m) * nx;
+        vyB -= (J / b.m) * ny;
+    }
+    for (const k of listA) Object.assign(state.bodies[k], { vx: vxA, vy: vyA });
+    for (const k of listB) Object.assign(state.bodies[k], { vx: vxB, vy: vyB });
     // Capture momentum after resolving
-    momentumPost = computeMomentum(state);
+    momentumPost = computeMomentum(listA, listB, t);
+}
+
+// Call fn(i, j), i < j, for every pair of bodies in the same or
+// neighbouring cells of a spatial grid over their current positions.
+// Cells are twice the largest radius wide, so every overlapping pair is
+// visited while distant pairs are never tested.
+function forNeighbours(fn) {
+    let rMax = 0;
+    for (const b of params.bodies) rMax = Math.max(rMax, b.r);
+    const size = 2 * rMax;
+    const n = state.bodies.length;
+    const cx = new Int32Array(n), cy = new Int32Array(n);
+    const key = (x, y) => x * 1048576 + y;
+    const grid = new Map();
+    state.bodies.forEach((b, i) => {
+        cx[i] = Math.floor(b.x / size);
+        cy[i] = Math.floor(b.y / size);
+        const k = key(cx[i], cy[i]);
+        if (grid.has(k)) grid.get(k).push(i); else grid.set(k, [i]);
+    });
+    for (let i = 0; i < n; i++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const near = grid.get(key(cx[i] + dx, cy[i] + dy));
+                if (!near) continue;
+                for (const j of near) if (j > i) fn(i, j);
+            }
+        }
+    }
+}
+
+// Advance `state` by one dt step, appending the frames to `frames` and
+// the step's events, in time order, to `events`.  Returns the collisions
+// resolved during the step as [{ t, bodies, pre, post, keLost, impulse }],
+// `impulse` being the one the first body (with any stuck to it) received.
+function advance(frames, events) {
+    const list = state.bodies;
+    const n = list.length;
+    const dt = params.dt;
+    const t0 = state.t;
+    const from = list.map(b => ({ x: b.x, y: b.y }));
+    const collisions = [];
+    const found = [];
+    // Each body moves in a straight line from (x0, y0) at the fraction a0
+    // of the step.  A collision starts a new leg for the bodies involved.
+    const legs = list.map(b => ({ x0: b.x, y0: b.y, a0: 0 }));
+    const at = (k, a) => {
+        const leg = legs[k], b = list[k];
+        return [leg.x0 + b.vx * (a - leg.a0) * dt, leg.y0 + b.vy * (a - leg.a0) * dt];
+    };
+    const moveToEnd = (k) => { [list[k].x, list[k].y] = at(k, 1); };
+    for (let k = 0; k < n; k++) moveToEnd(k);
+
+    // We defer bounding and time advancement until after collision
+    // detection/resolution so that collision tests are performed on
+    // unbounded positions.  Contacts are resolved in time order until
+    // none is left; the cap guards against a crowd that keeps colliding
+    // within one step.
+    for (let guard = 0; guard < 4 * n; guard++) {
+        const hit = earliestContact(legs, at);
+        if (!hit) break;
+        const { i, j, a } = hit;
+        const tHit = t0 + a * dt;
+        // Fire off a frame at the first contact of the step
+        if (!collisions.length) frames.push(frame(tHit, k => at(k, a)));
+        const [xi, yi] = at(i, a), [xj, yj] = at(j, a);
+        // The bodies that change course start a new leg at the contact
+        for (const k of groups[i].concat(groups[j])) {
+            const [x, y] = at(k, a);
+            legs[k] = { x0: x, y0: y, a0: a };
+        }
+        const dist = Math.hypot(xi - xj, yi - yj) || 1e-12;
+        resolveCollision(i, j, (xi - xj) / dist, (yi - yj) / dist, tHit);
+        contacts.add(i * n + j);
+        for (const k of groups[i].concat(groups[j])) moveToEnd(k);
+        const collision = {
+            t: tHit, bodies: [i, j], pre: momentumPre, post: momentumPost, keLost: momentumPre.ke - momentumPost.ke,
+            impulse: { x: momentumPost.p1.px - momentumPre.p1.px, y: momentumPost.p1.py - momentumPre.p1.py }
+        };
+        collisions.push(collision);
+        // The contact point lies on the line of centres
+        const f = params.bodies[i].r / (params.bodies[i].r + params.bodies[j].r);
+        found.push({ type: 'collision', x: xi + f * (xj - xi), y: yi + f * (yj - yi), ...collision, dKE: -collision.keLost });
+    }
+    // After collision resolution, apply bounding: bodies bounce off the
+    // defined box edges.
+    const bounced = new Map();
+    for (let k = 0; k < n; k++) bounceWalls(k, legs, found, bounced);
+    lineCrossings(from, found);
+    // Advance the simulation time
+    state.t += dt;
+    frames.push(frame(state.t));
+    // Forget the contacts of bodies that have separated beyond the
+    // collision distance
+    for (const key of contacts) {
+        if (!overlapping(Math.floor(key / n), key % n)) contacts.delete(key);
+    }
+    found.sort((p, q) => p.t - q.t);
+    for (const e of found) events.push(e);
+    return collisions;
+}
+
+// The earliest contact within the step, as { i, j, a } with a the
+// fraction of the step, between two bodies that end the step
+// overlapping; null when there is none.  Pairs already in contact,
+// bodies stuck together and overlapping pairs that are moving apart are
+// skipped.
+function earliestContact(legs, at) {
+    const n = state.bodies.length;
+    const dt = params.dt;
+    let best = null;
+    forNeighbours((i, j) => {
+        if (groups[i] === groups[j] || absorbed[i] || absorbed[j] || contacts.has(i * n + j) || !overlapping(i, j)) return;
+        // Both move in straight lines from the later of their leg starts
+        const a0 = Math.max(legs[i].a0, legs[j].a0);
+        const [xi, yi] = at(i, a0), [xj, yj] = at(j, a0);
+        const bi = state.bodies[i], bj = state.bodies[j];
+        const R = params.bodies[i].r + params.bodies[j].r;
+        const dx = xi - xj, dy = yi - yj;
+        const wx = (bi.vx - bj.vx) * dt, wy = (bi.vy - bj.vy) * dt;
+        // |d + w (a − a0)|² = R², taking the earlier root
+        const A = wx * wx + wy * wy, B = dx * wx + dy * wy, C = dx * dx + dy * dy - R * R;
+        let a = a0;
+        if (C > 0) {
+            const disc = B * B - A * C;
+            if (A === 0 || disc < 0) return;
+            a = Math.min(1, a0 + (-B - Math.sqrt(disc)) / A);
+        } else if (B >= 0) {
+            return;
+        }
+        if (!best || a < best.a) best = { i, j, a };
+    });
+    return best;
+}
+
+// Keep body i inside the box: when it intersects a wall it is moved back
+// inside and its velocity component perpendicular to the wall is
+// flipped and scaled by the wall's restitution, or, at an absorbing
+// wall, it is stopped where it touched.  Bodies stuck to it move with
+// it: a group bounces once per wall and step, off the member furthest
+// past the wall, and `bounced` maps each group to the walls it has hit
+// this step.  Each hit is added to `found` as a `wall` event at the
+// time, within the step, that the body reached the wall, with the
+// impulse { x, y } the wall took and the change in the bodies' kinetic
+// energy.
+function bounceWalls(i, legs, found, bounced) {
+    if (params.walls === 'open' || absorbed[i]) return;
+    const b = state.bodies[i];
+    const r = params.bodies[i].r;
+    const box = params.box;
+    const sides = [['x', box.xMin, box.xMax, 'left', 'right'], ['y', box.yMin, box.yMax, 'bottom', 'top']];
+    for (const [axis, lo, hi, loName, hiName] of sides) {
+        const v = 'v' + axis;
+        let edge, wall;
+        if (b[axis] - r < lo) {
+            edge = lo + r;
+            wall = loName;
+        } else if (b[axis] + r > hi) {
+            edge = hi - r;
+            wall = hiName;
+        } else {
+            continue;
+        }
+        const group = groups[i];
+        const hit = bounced.get(group) || new Set();
+        if (hit.has(wall)) continue;
+        const past = (k) => (wall === loName ? lo - state.bodies[k][axis] + params.bodies[k].r : state.bodies[k][axis] + params.bodies[k].r - hi);
+        if (group.some(k => past(k) > past(i))) continue;
+        hit.add(wall);
+        bounced.set(group, hit);
+        // Fraction of the step at which the last leg reached `edge`
+        const leg = legs[i];
+        const start = axis === 'x' ? leg.x0 : leg.y0;
+        const u = b[v] !== 0 ? Math.min(1, Math.max(leg.a0, leg.a0 + (edge - start) / (b[v] * params.dt))) : 1;
+        const o = axis === 'x' ? 'y' : 'x';
+        const mass = groupTotals(group).m;
+        const event = {
+            type: 'wall', body: i, wall, t: state.t + u * params.dt,
+            [axis]: edge, [o]: b[o] - b['v' + o] * (1 - u) * params.dt,
+            vx: b.vx, vy: b.vy
+        };
+        const shift = edge - b[axis];
+        if (params.walls === 'absorb') {
+            // The wall takes all of the momentum; the bodies stay where
+            // they touched it
+            const back = event[o] - b[o];
+            for (const k of group) {
+                const s = state.bodies[k];
+                s[axis] += shift;
+                s[o] += back;
+                s.vx = s.vy = 0;
+                absorbed[k] = 1;
+            }
+            found.push({
+                ...event, absorbed: group.slice(), impulse: { x: mass * event.vx, y: mass * event.vy },
+                dKE: -0.5 * mass * (event.vx * event.vx + event.vy * event.vy)
+            });
+            return;
+        }
+        const vOut = (wall === loName ? 1 : -1) * params.wallE[wall] * Math.abs(b[v]);
+        const impulse = { x: 0, y: 0 };
+        impulse[axis] = mass * (b[v] - vOut);
+        found.push({ ...event, impulse, dKE: 0.5 * mass * (vOut * vOut - b[v] * b[v]) });
+        for (const k of group) {
+            state.bodies[k][axis] += shift;
+            state.bodies[k][v] = vOut;
+        }
+    }
+}
+
+// Crossings of the event lines by any body's centre between its position
+// `from` at the start of the step and its current one, added to `found`
+// as `crossing` events
+function lineCrossings(from, found) {
+    if (!params.lines.x.length && !params.lines.y.length) return;
+    state.bodies.forEach((b, i) => {
+        const p = from[i];
+        for (const axis of ['x', 'y']) {
+            const o = axis === 'x' ? 'y' : 'x';
+            for (const value of params.lines[axis]) {
+                if (p[axis] < value === b[axis] < value) continue;
+                const u = (value - p[axis]) / (b[axis] - p[axis]);
+                found.push({
+                    type: 'crossing', body: i, axis, value, t: state.t + u * params.dt,
+                    [axis]: value, [o]: p[o] + u * (b[o] - p[o]),
+                    vx: b.vx, vy: b.vy
+                });
+            }
+        }
+    });
 }
 
 // Main simulation loop.  Mirrors the logic of the projectile POC
 // simulation: accumulate real time scaled by SPEED, integrate a fixed
-// number of dt steps, emit batches of points and reschedule.
+// number of dt steps, emit batches of frames and reschedule.
 function loop() {
     if (!running) return;
     const now = performance.now();
     acc += ((now - lastReal) / 1000) * SPEED;
     lastReal = now;
-    const batch1 = [];
-    const batch2 = [];
+    const frames = [];
+    const events = [];
     let steps = 0;
     // Integrate as many dt steps as are owed by accumulated time but cap
     // the number of steps per frame to avoid long frame stalls.
     while (acc >= params.dt && steps < MAX_STEPS) {
-        // previous positions (for collision interpolation if needed)
-        const prev = { ...state };
-
-        // advance positions
-        state.x1 += state.vx1 * params.dt;
-        state.y1 += state.vy1 * params.dt;
-        state.x2 += state.vx2 * params.dt;
-        state.y2 += state.vy2 * params.dt;
-
-
-        // We defer bounding and time advancement until after collision
-        // detection/resolution so that collision tests are performed on
-        // unbounded positions.  Bounding is applied after handling
-        // collisions (see below).
-
-        // Check for collision: distance <= sum of radii.  Only resolve
-        // when the bodies are not already in contact; when they
-        // separate, the `inContact` flag is cleared below.
-        const dx = state.x1 - state.x2;
-        const dy = state.y1 - state.y2;
-        const dist = Math.hypot(dx, dy);
-        if (!inContact && dist <= params.r1 + params.r2) {
-            // interpolate to find the approximate collision point between prev and current
-            // positions.  Using linear interpolation on the separation distance to
-            // approximate the exact moment of contact.
-            const prevDx = prev.x1 - prev.x2;
-            const prevDy = prev.y1 - prev.y2;
-            const prevDist = Math.hypot(prevDx, prevDy);
-            const denom = (prevDist - dist) || 1e-12;
-            const alpha = (prevDist - (params.r1 + params.r2)) / denom;
-            // Interpolated positions at the moment of contact
-            const x1Hit = prev.x1 + alpha * (state.x1 - prev.x1);
-            const y1Hit = prev.y1 + alpha * (state.y1 - prev.y1);
-            const x2Hit = prev.x2 + alpha * (state.x2 - prev.x2);
-            const y2Hit = prev.y2 + alpha * (state.y2 - prev.y2);
-            // Advance state to the exact collision point before resolving
-            state.x1 = x1Hit;
-            state.y1 = y1Hit;
-            state.x2 = x2Hit;
-            state.y2 = y2Hit;
-            // Fire off a batch up to this point
-            batch1.push({ x: state.x1, y: state.y1, t: state.t });
-            batch2.push({ x: state.x2, y: state.y2, t: state.t });
-            // resolve the collision
-            resolveCollision();
-            // continue with the remainder of the dt step.  To avoid the
-            // possibility of an immediate re‑collision, advance a tiny
-            // epsilon time.
-            const eps = 1e-6;
-            state.x1 += state.vx1 * eps;
-            state.y1 += state.vy1 * eps;
-            state.x2 += state.vx2 * eps;
-            state.y2 += state.vy2 * eps;
-            // continue to next iteration to integrate the rest of the frame
-        }
-        // After potential collision resolution, apply bounding: bodies bounce
-        // off the defined box edges.  Bounding is applied here so that
-        // collision detection above uses unbounded positions.  When a body
-        // intersects a wall, it is moved back inside and its velocity
-        // component perpendicular to the wall is flipped.
-        // Horizontal bounds for body 1
-        if (state.x1 - params.r1 < BOUNDS.xMin) {
-            state.x1 = BOUNDS.xMin + params.r1;
-            state.vx1 = Math.abs(state.vx1);
-        } else if (state.x1 + params.r1 > BOUNDS.xMax) {
-            state.x1 = BOUNDS.xMax - params.r1;
-            state.vx1 = -Math.abs(state.vx1);
-        }
-        // Vertical bounds for body 1
-        if (state.y1 - params.r1 < BOUNDS.yMin) {
-            state.y1 = BOUNDS.yMin + params.r1;
-            state.vy1 = Math.abs(state.vy1);
-        } else if (state.y1 + params.r1 > BOUNDS.yMax) {
-            state.y1 = BOUNDS.yMax - params.r1;
-            state.vy1 = -Math.abs(state.vy1);
-        }
-        // Horizontal bounds for body 2
-        if (state.x2 - params.r2 < BOUNDS.xMin) {
-            state.x2 = BOUNDS.xMin + params.r2;
-            state.vx2 = Math.abs(state.vx2);
-        } else if (state.x2 + params.r2 > BOUNDS.xMax) {
-            state.x2 = BOUNDS.xMax - params.r2;
-            state.vx2 = -Math.abs(state.vx2);
-        }
-        // Vertical bounds for body 2
-        if (state.y2 - params.r2 < BOUNDS.yMin) {
-            state.y2 = BOUNDS.yMin + params.r2;
-            state.vy2 = Math.abs(state.vy2);
-        } else if (state.y2 + params.r2 > BOUNDS.yMax) {
-            state.y2 = BOUNDS.yMax - params.r2;
-            state.vy2 = -Math.abs(state.vy2);
-        }
-        // Advance the simulation time and decrement the accumulator
-        state.t += params.dt;
+        advance(frames, events);
         acc -= params.dt;
         steps++;
-        // Append new positions after each dt step
-        batch1.push({ x: state.x1, y: state.y1, t: state.t });
-        batch2.push({ x: state.x2, y: state.y2, t: state.t });
-        // Reset contact flag when the bodies have separated beyond the collision distance.
-        // Recompute separation after bounding
-        const dxAfter = state.x1 - state.x2;
-        const dyAfter = state.y1 - state.y2;
-        const distAfter = Math.hypot(dxAfter, dyAfter);
-        if (inContact && distAfter > params.r1 + params.r2) {
-            inContact = false;
-        }
         // Stop the simulation if maximum simulated time exceeded
         if (state.t >= params.maxT) {
             running = false;
             break;
         }
     }
-    // If there are any samples, send them to the UI
-        if (batch1.length || batch2.length) {
+    // Events go first, so that the tick drawing these frames already
+    // knows about them
+    for (const event of events) postMessage({ type: 'event', event });
+    // If there are any frames, send them to the UI
+    if (frames.length) {
         postMessage({
             type: 'tick',
-            points1: batch1,
-            points2: batch2,
+            frames,
             state: {
-                x1: state.x1, y1: state.y1, vx1: state.vx1, vy1: state.vy1,
-                x2: state.x2, y2: state.y2, vx2: state.vx2, vy2: state.vy2,
                 t: state.t,
                 // Mark collided true if momentum snapshots exist
                 collided: momentumPre !== null && momentumPost !== null,
                 momentumPre: momentumPre,
                 momentumPost: momentumPost
             }
-        });
+        }, frames.map(f => f.data.buffer));
     }
     // If the simulation has finished, send a `done` message and stop.
     if (!running) {
         postMessage({ type: 'done' });
         return;
     }
-    // Schedule the next frame.  The 16 ms delay approximates 60 Hz.
+    // Schedule the next frame.  The 16 ms delay approximates 60 Hz.
     loopTimer = setTimeout(loop, 16);
 }
 
+// Run the current params to maxT without pacing.  The paced run's state is
+// set aside and restored, so a compute can happen mid-run.
+function compute() {
+    const live = { state, contacts, groups, absorbed, momentumPre, momentumPost };
+    state = initialState();
+    resetContacts();
+    momentumPre = null;
+    momentumPost = null;
+    const frames = [frame(state.t)];
+    const collisions = [];
+    const events = [];
+    while (state.t < params.maxT) {
+        for (const collision of advance(frames, events)) collisions.push(collision);
+    }
+    const n = state.bodies.length;
+    const trajectory = { t: Float64Array.from(frames, f => f.t) };
+    ['x', 'y', 'vx', 'vy'].forEach((k, c) => {
+        const column = new Float64Array(frames.length * n);
+        frames.forEach((f, row) => {
+            for (let i = 0; i < n; i++) column[row * n + i] = f.data[4 * i + c];
+        });
+        trajectory[k] = column;
+    });
+    // Impulse taken by each wall over the run
+    const wallImpulse = {};
+    for (const wall of ['left', 'right', 'bottom', 'top']) wallImpulse[wall] = { x: 0, y: 0 };
+    for (const e of events) {
+        if (e.type !== 'wall') continue;
+        wallImpulse[e.wall].x += e.impulse.x;
+        wallImpulse[e.wall].y += e.impulse.y;
+    }
+    const summary = {
+        collisionTime: collisions.length ? collisions[0].t : null,
+        collisions: collisions.length,
+        keLost: collisions.reduce((sum, c) => sum + c.keLost, 0),
+        duration: state.t,
+        box: params.box,
+        absorbed: absorbed.reduce((sum, a) => sum + a, 0),
+        wallImpulse
+    };
+    ({ state, contacts, groups, absorbed, momentumPre, momentumPost } = live);
+    return { trajectory, collisions, events, summary };
+}
+
 // Cancel any pending timeouts
 function clearTimer() {
     if (loopTimer) {
         clearTimeout(loopTimer);
         loopTimer = null;
     }
-}
\ No newline at end of file
+}
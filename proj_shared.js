@@ -0,0 +1,76 @@
+/*
+  Projectile model pieces shared by the page (projectile.js, loaded before
+  it) and the worker (proj_worker.js, through importScripts), so the wind
+  arrows and the ground line on the canvas follow the physics exactly.
+  - mulberry32 / makeGusts / gustAt: the seeded gust modes.  momentum.js
+    also uses mulberry32 for its seeded presets.
+  - windVelocity: wind for a set of params at height h and time t.
+  - groundHeight: height of a ground description at horizontal position x.
+*/
+
+// Deterministic PRNG (mulberry32) so a gust seed always gives the same gusts
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Five sine modes per axis between 0.1 and 2 Hz, scaled to unit RMS
+function makeGusts(seed) {
+    const rand = mulberry32(seed);
+    const axis = () => {
+        const modes = [];
+        for (let i = 0; i < 5; i++) {
+            modes.push({ amp: 0.5 + rand(), f: 0.1 + 1.9 * rand(), phase: 2 * Math.PI * rand() });
+        }
+        const rms = Math.sqrt(modes.reduce((sum, m) => sum + (m.amp * m.amp) / 2, 0));
+        for (const m of modes) m.amp /= rms;
+        return modes;
+    };
+    return { seed, x: axis(), y: axis() };
+}
+function gustAt(modes, t) {
+    let sum = 0;
+    for (const m of modes) sum += m.amp * Math.sin(2 * Math.PI * m.f * t + m.phase);
+    return sum;
+}
+
+// Wind velocity for params p at height h above the ground and time t,
+// with gusts from makeGusts(p.gustSeed)
+function windVelocity(p, gusts, h, t) {
+    let wx = p.wind || 0, wy = p.windVy || 0;
+    if (p.windProfile === 'shear') {
+        wx += p.shear * h;
+    } else if (p.windProfile === 'power') {
+        wx *= h > 0 ? (h / p.refHeight) ** p.alpha : 0;
+    } else if (p.windProfile === 'gusts') {
+        // Vertical gusts are half as strong as horizontal ones
+        wx += p.gustAmp * gustAt(gusts.x, t);
+        wy += 0.5 * p.gustAmp * gustAt(gusts.y, t);
+    }
+    return { wx, wy };
+}
+
+// Height of the ground line g at horizontal position x.  Profiles are
+// piecewise linear between vertices and flat beyond the end vertices.
+function groundHeight(g, x) {
+    if (g.mode === 'incline') return Math.tan((g.slopeDeg * Math.PI) / 180) * x;
+    if (g.mode === 'profile' && g.profile.length) {
+        const pts = g.profile;
+        if (x <= pts[0].x) return pts[0].y;
+        for (let i = 1; i < pts.length; i++) {
+            if (x <= pts[i].x) {
+                const a = pts[i - 1], b = pts[i];
+                const span = b.x - a.x;
+                return span > 0 ? a.y + ((x - a.x) / span) * (b.y - a.y) : b.y;
+            }
+        }
+        return pts[pts.length - 1].y;
+    }
+    return 0;
+}
@@ -1,38 +1,91 @@
 /*
-  Worker thread: integrates projectile motion with quadratic drag using RK4.
+  Worker thread: integrates projectile motion with drag, wind and spin
+  using a selectable integrator (Euler, semi-implicit Euler, RK2, RK4 or
+  adaptive RK45).
   - Runs at a *paced* 0.25× speed via a fixed-step accumulator (stable timing).
-  F_drag = 0.5 * rho * Cd * A * |v_rel| * v_rel,  v_rel = (vx - wind, vy)
-  a_x = -(k/m) * |v_rel| * v_rel_x
-  a_y = -g     -(k/m) * |v_rel| * v_rel_y
-  where k = 0.5 * rho * Cd * A
+  - The ball lands on the ground line (flat, incline or terrain profile),
+    or bounces and slides in bounce mode, and can hit walls, nets and hoops.
+  - Messages: start/pause/resume/setSpeed drive the paced run, which posts
+    ticks, bounces, obstacle contacts, events and a target score; compute,
+    sweep and solve run the same model headless.
+  F_drag = -(b + k * |v_rel|) * v_rel,  v_rel = (vx - w_x, vy - w_y)
+  a_x = -(b/m + (k/m) * |v_rel|) * v_rel_x + F_M,x / m
+  a_y = -g -(b/m + (k/m) * |v_rel|) * v_rel_y + F_M,y / m
+  where k = 0.5 * rho * Cd * A, the drag model picks b and/or k, and
+  F_M = 0.5 * rho * C_L * A * |v_rel| * (-v_rel_y, v_rel_x) is the Magnus
+  force.  W_drag, the energy handed to the air, is integrated alongside so
+  that KE + PE + W_drag stays equal to the launch energy.
 */
 
+// Gusts, wind and ground height, shared with the page
+importScripts('proj_shared.js');
+
 // Wall-clock pacing (0.25× real-time)
 let SPEED = 0.25
 // Safety cap: prevent any single loop from doing too many physics steps
 const MAX_STEPS = 10;
+// Safety cap on the length of one run (tiny dt with a long maxT)
+const MAX_RUN_STEPS = 500000;
+// Safety cap on the steps of all the runs one sweep or solve makes together
+const MAX_BATCH_STEPS = 1000000;
+// Rebounds lower than this (m) end the bouncing; the ball then slides
+const SETTLE_HEIGHT = 0.005;
+// Slower than this (m/s) along the ground counts as stopped
+const REST_SPEED = 1e-3;
+// Obstacle sizes (m): net thickness, rim tube radius, and a hoop's
+// backboard (gap behind the ring, thickness, extent below/above the rim)
+const NET_WIDTH = 0.05;
+const RIM_RADIUS = 0.01;
+const BOARD = { gap: 0.15, width: 0.03, below: 0.15, above: 0.9 };
 
 // Default parameters
 const defaults = {
     v0: 30,           // m/s
     angleDeg: 45,     // degrees
     m: 0.145,         // kg (baseball-ish)
+    dragModel: 'quadratic', // 'none' | 'linear' | 'quadratic' | 'combined'
+    b: 0.01,          // kg/s (linear drag coefficient)
     cd: 0,            // drag coefficient
     A: 0.0042,        // m^2 (cross-sectional area)
     rho: 1.225,       // kg/m^3 (air density at sea level)
     g: 9.81,          // m/s^2
-    wind: 0,          // m/s (tailwind +x)
-    dt: 0.005,        // s
+    wind: 0,          // m/s (tailwind +x; at refHeight for the power law)
+    windProfile: 'constant', // 'constant' | 'shear' | 'power' | 'gusts'
+    windVy: 0,        // m/s (vertical wind, + up)
+    shear: 0.1,       // 1/s (wind increase per metre of height)
+    refHeight: 10,    // m (power law reference height)
+    alpha: 0.14,      // power law exponent (≈1/7 over open ground)
+    gustAmp: 3,       // m/s (RMS of the horizontal gusts)
+    gustSeed: 1,      // seed of the gust pattern
+    rhoModel: 'constant', // 'constant' | 'exponential'
+    scaleHeight: 8500,    // m (exponential atmosphere)
+    spin: 0,          // rpm at launch (+ backspin, - topspin)
+    cl: 0.2,          // lift coefficient at the launch spin
+    spinTau: 10,      // s (spin decay time constant)
+    h0: 0,            // m (launch height above the ground at x = 0)
+    ground: { mode: 'flat', slopeDeg: 0, profile: [] }, // ground line
+    target: null,     // {x, y, r} to aim at, or null
+    obstacles: [],    // walls, nets and hoops, see sanitizeObstacles
+    obstacleMode: 'bounce', // 'bounce' | 'stop' on contact with an obstacle
+    obstacleE: 0.6,   // coefficient of restitution off obstacles
+    lines: { x: [], y: [] }, // event lines x = const and y = const (m)
+    bounce: false,    // rebound off the ground instead of stopping
+    e: 0.7,           // coefficient of restitution
+    mu: 0.2,          // ground friction coefficient
+    method: 'rk4',    // integrator, see STEPPERS
+    dt: 0.005,        // s (largest step for rk45)
+    tol: 1e-6,        // rk45 local error tolerance
     maxT: 20          // s
 };
 
 // Worker-local state
 let params = { ...defaults }; // set to default parameters
 let running = false; // loop is active
-let state = null; // {x,y,vx,vy,t}
+let live = null; // the paced run, see newRun()
 let loopTimer = null; // setTimeout handle
 let lastReal = 0;     // ms timestamp of last loop
 let acc = 0;          // accumulated (scaled) seconds to integrate
+let gusts = makeGusts(defaults.gustSeed); // gust modes for the current seed
 
 // Message interface
 self.onmessage = (e) => {
@@ -46,12 +99,23 @@ self.onmessage = (e) => {
             running = false;
             clearTimer();
         } else if (msg.type === 'resume') {
-            if (!state) return;
+            if (!live || live.end) return;
             running = true;
             lastReal = performance.now(); // reset wall-clock origin
             loop();
         } else if (msg.type === 'setSpeed') {
             if (Number.isFinite(+msg.speed) && +msg.speed > 0) SPEED = +msg.speed;
+        } else if (msg.type === 'sweep') {
+            applyParams(msg.params);
+            postMessage({ type: 'sweepResult', ...sweep(msg.sweep) });
+        } else if (msg.type === 'compute') {
+            applyParams(msg.params);
+            const result = compute({ untilLanding: !!msg.untilLanding });
+            const buffers = Object.values(result.trajectory).map(a => a.buffer);
+            postMessage({ type: 'computeResult', id: msg.id, ...result }, buffers);
+        } else if (msg.type === 'solve') {
+            applyParams(msg.params);
+            postMessage({ type: 'solveResult', ...solve(msg.solve) });
         }
     } catch (err) {
         postMessage({ type: 'error', message: String(err?.message || err) });
@@ -63,74 +127,709 @@ function applyParams(p = {}) {
     const next = { ...params };
     if (Number.isFinite(+p.v0) && +p.v0 >= 0) next.v0 = +p.v0;
     if (Number.isFinite(+p.angleDeg)) next.angleDeg = Math.min(90, Math.max(0, +p.angleDeg));
+    if (['none', 'linear', 'quadratic', 'combined'].includes(p.dragModel)) next.dragModel = p.dragModel;
+    if (Number.isFinite(+p.b) && +p.b >= 0) next.b = +p.b;
     if (Number.isFinite(+p.cd) && +p.cd >= 0) next.cd = +p.cd;
     if (Number.isFinite(+p.wind)) next.wind = +p.wind;
+    if (['constant', 'shear', 'power', 'gusts'].includes(p.windProfile)) next.windProfile = p.windProfile;
+    if (Number.isFinite(+p.windVy)) next.windVy = +p.windVy;
+    if (Number.isFinite(+p.shear)) next.shear = +p.shear;
+    if (Number.isFinite(+p.refHeight) && +p.refHeight > 0) next.refHeight = +p.refHeight;
+    if (Number.isFinite(+p.alpha)) next.alpha = Math.min(1, Math.max(0, +p.alpha));
+    if (Number.isFinite(+p.gustAmp) && +p.gustAmp >= 0) next.gustAmp = +p.gustAmp;
+    if (Number.isFinite(+p.gustSeed)) next.gustSeed = Math.floor(+p.gustSeed);
+    if (['constant', 'exponential'].includes(p.rhoModel)) next.rhoModel = p.rhoModel;
+    if (Number.isFinite(+p.scaleHeight) && +p.scaleHeight > 0) next.scaleHeight = +p.scaleHeight;
+    if (Number.isFinite(+p.spin)) next.spin = Math.min(20000, Math.max(-20000, +p.spin));
+    if (Number.isFinite(+p.cl) && +p.cl >= 0) next.cl = +p.cl;
+    if (Number.isFinite(+p.spinTau)) next.spinTau = Math.max(0.1, +p.spinTau);
+    if (Number.isFinite(+p.m) && +p.m > 0) next.m = +p.m;
+    if (Number.isFinite(+p.A) && +p.A >= 0) next.A = +p.A;
+    if (Number.isFinite(+p.rho) && +p.rho >= 0) next.rho = +p.rho;
+    if (Number.isFinite(+p.g) && +p.g >= 0) next.g = +p.g;
+    if (Number.isFinite(+p.h0) && +p.h0 >= 0) next.h0 = +p.h0;
+    if (Number.isFinite(+p.maxT)) next.maxT = Math.min(600, Math.max(1, +p.maxT));
+    if (p.ground) next.ground = sanitizeGround(p.ground);
+    if ('target' in p) next.target = sanitizeTarget(p.target);
+    if (p.obstacles) next.obstacles = sanitizeObstacles(p.obstacles);
+    if (['bounce', 'stop'].includes(p.obstacleMode)) next.obstacleMode = p.obstacleMode;
+    if (Number.isFinite(+p.obstacleE)) next.obstacleE = Math.min(1, Math.max(0, +p.obstacleE));
+    if (p.lines) next.lines = sanitizeLines(p.lines);
+    if (typeof p.bounce === 'boolean') next.bounce = p.bounce;
+    if (Number.isFinite(+p.e)) next.e = Math.min(1, Math.max(0, +p.e));
+    if (Number.isFinite(+p.mu) && +p.mu >= 0) next.mu = +p.mu;
+    if (p.method in STEPPERS) next.method = p.method;
+    if (Number.isFinite(+p.dt)) next.dt = Math.min(0.5, Math.max(1e-4, +p.dt));
+    if (Number.isFinite(+p.tol)) next.tol = Math.min(1e-2, Math.max(1e-12, +p.tol));
+    if (next.gustSeed !== params.gustSeed) gusts = makeGusts(next.gustSeed);
     params = next;
 }
 
-// Initialize state, post the initial point, and start paced loop
-function start() {
+// Wind velocity and air density at (x, y) and time t
+function airAt(x, y, t) {
+    const { wx, wy } = windVelocity(params, gusts, y - groundY(x), t);
+    const rho = params.rhoModel === 'exponential' ? params.rho * Math.exp(-y / params.scaleHeight) : params.rho;
+    return { wx, wy, rho };
+}
+
+// Validate a ground description: mode, incline angle and profile vertices
+function sanitizeGround(g) {
+    const mode = ['flat', 'incline', 'profile'].includes(g.mode) ? g.mode : 'flat';
+    const slopeDeg = Number.isFinite(+g.slopeDeg) ? Math.min(60, Math.max(-60, +g.slopeDeg)) : 0;
+    const profile = (Array.isArray(g.profile) ? g.profile : [])
+        .filter(q => q && Number.isFinite(+q.x) && Number.isFinite(+q.y))
+        .map(q => ({ x: +q.x, y: +q.y }))
+        .sort((a, b) => a.x - b.x)
+        .slice(0, 200);
+    return { mode, slopeDeg, profile };
+}
+
+// Validate a target: a finite point and a positive hit radius, or null
+function sanitizeTarget(t) {
+    if (!t || !Number.isFinite(+t.x) || !Number.isFinite(+t.y)) return null;
+    const r = Number.isFinite(+t.r) && +t.r > 0 ? +t.r : 1;
+    return { x: +t.x, y: +t.y, r };
+}
+
+// Validate obstacles (at most 20): walls {x, y, w, h} with (x, y) the
+// bottom-left corner, nets {x, y, h} standing on (x, y), and hoops
+// {x, y, r}, a ring of radius r centred on (x, y) with the backboard on
+// its +x side
+function sanitizeObstacles(list) {
+    const size = (v, fallback) => (Number.isFinite(+v) && +v > 0 ? +v : fallback);
+    const out = [];
+    for (const o of Array.isArray(list) ? list : []) {
+        if (!o || !Number.isFinite(+o.x) || !Number.isFinite(+o.y)) continue;
+        if (o.kind === 'wall') out.push({ kind: 'wall', x: +o.x, y: +o.y, w: size(o.w, 1), h: size(o.h, 3) });
+        else if (o.kind === 'net') out.push({ kind: 'net', x: +o.x, y: +o.y, h: size(o.h, 1) });
+        else if (o.kind === 'hoop') out.push({ kind: 'hoop', x: +o.x, y: +o.y, r: size(o.r, 0.225) });
+    }
+    return out.slice(0, 20);
+}
+
+// Validate the event lines: up to 10 finite positions on each axis
+function sanitizeLines(l) {
+    const axis = (list) => (Array.isArray(list) ? list : []).map(Number).filter(Number.isFinite).slice(0, 10);
+    return { x: axis(l.x), y: axis(l.y) };
+}
+
+// Solid parts of an obstacle: rectangles {x0, x1, y0, y1} and rim points {x, y}
+function obstacleParts(o) {
+    if (o.kind === 'wall') return { rects: [{ x0: o.x, x1: o.x + o.w, y0: o.y, y1: o.y + o.h }], rims: [] };
+    if (o.kind === 'net') {
+        return { rects: [{ x0: o.x - NET_WIDTH / 2, x1: o.x + NET_WIDTH / 2, y0: o.y, y1: o.y + o.h }], rims: [] };
+    }
+    const bx = o.x + o.r + BOARD.gap;
+    return {
+        rects: [{ x0: bx, x1: bx + BOARD.width, y0: o.y - BOARD.below, y1: o.y + BOARD.above }],
+        rims: [{ x: o.x - o.r, y: o.y }, { x: o.x + o.r, y: o.y }]
+    };
+}
+
+// Height of the ground line at horizontal position x
+function groundY(x) {
+    return groundHeight(params.ground, x);
+}
+
+// Slope dy/dx of the ground line at x (0 beyond the ends of a profile)
+function groundSlope(x) {
+    const g = params.ground;
+    if (g.mode === 'incline') return Math.tan((g.slopeDeg * Math.PI) / 180);
+    if (g.mode === 'profile' && g.profile.length) {
+        const pts = g.profile;
+        if (x <= pts[0].x) return 0;
+        for (let i = 1; i < pts.length; i++) {
+            if (x <= pts[i].x) {
+                const a = pts[i - 1], b = pts[i];
+                const span = b.x - a.x;
+                return span > 0 ? (b.y - a.y) / span : 0;
+            }
+        }
+    }
+    return 0;
+}
+
+// Launch state for the current params
+function initialState() {
     const th = (params.angleDeg * Math.PI) / 180;
-    state = {
+    return {
         x: 0,
-        y: 0,
+        y: groundY(0) + params.h0,
         vx: params.v0 * Math.cos(th),
         vy: params.v0 * Math.sin(th),
-        t: 0
+        t: 0,
+        wDrag: 0,
+        wGround: 0,       // energy lost in impacts and ground friction
+        sliding: false,   // bouncing has ended; moving along the ground
+        support: null,    // while sliding on an obstacle's top, { y, x0, x1 }
+        resting: false,   // stopped on the ground
+        h: params.dt,  // next rk45 step size
+        steps: 0,      // accepted steps
+        rejected: 0,   // rk45 steps retried with a smaller h
+        evals: 0       // calls to accel()
+    };
+}
+
+// Integrator counters as streamed to the UI
+function diagnostics(s) {
+    return { method: params.method, steps: s.steps, rejected: s.rejected, evals: s.evals };
+}
+
+// Sample of the state as streamed to the UI.  In flight it also carries
+// the acceleration (ax, ay) and the drag and Magnus forces (fdx, fdy and
+// fmx, fmy, in N) for the vector overlays.
+function snapshot(s) {
+    const p = {
+        x: s.x, y: s.y, t: s.t, vx: s.vx, vy: s.vy, v: Math.hypot(s.vx, s.vy),
+        wDrag: s.wDrag, wGround: s.wGround, fDrag: dragForce(s)
     };
+    if (!s.sliding && !s.resting) {
+        const a = accel(s.x, s.y, s.vx, s.vy, s.t);
+        const m = params.m;
+        Object.assign(p, { ax: a.ax, ay: a.ay, fdx: m * a.dax, fdy: m * a.day, fmx: m * a.max, fmy: m * a.may });
+    }
+    return p;
+}
+
+// Linear (b) and quadratic (k) drag factors of the drag model at density rho
+function dragFactors(rho) {
+    const m = params.dragModel;
+    return {
+        b: m === 'linear' || m === 'combined' ? params.b : 0,
+        k: m === 'quadratic' || m === 'combined' ? 0.5 * params.cd * params.A * rho : 0
+    };
+}
+
+// Magnitude of the drag force on `s`, |F_drag| = b * |v_rel| + k * |v_rel|^2
+function dragForce(s) {
+    const air = airAt(s.x, s.y, s.t);
+    const { b, k } = dragFactors(air.rho);
+    const v = Math.hypot(s.vx - air.wx, s.vy - air.wy);
+    return (b + k * v) * v;
+}
+
+// A run in progress: the state `s`, impacts so far, the closest approach
+// to the target and, once over, why it ended ('landed', 'target',
+// 'obstacle', 'rest', 'maxT' or 'steps')
+function newRun() {
+    return { s: initialState(), bounces: 0, targetBest: null, end: null };
+}
+
+// Initialize state, post the initial point, and start paced loop
+function start() {
+    live = newRun();
     running = true;
     acc = 0;
     lastReal = performance.now();
 
-    // Seed UI with the exact initial state (so the line starts at the origin)
-    const vmag0 = Math.hypot(state.vx, state.vy);
-    postMessage({
-        type: 'tick',
-        points: [{ x: state.x, y: state.y, t: state.t, v: vmag0 }],
-        state: { x: state.x, y: state.y, t: state.t, vx: state.vx, vy: state.vy, v: vmag0 }
-    });
+    // Seed UI with the exact initial state (so the line starts at the launch point)
+    postMessage({ type: 'tick', points: [snapshot(live.s)], state: snapshot(live.s), diag: diagnostics(live.s) });
 
     clearTimer();
     loop();
 }
 
-// Compute acceleration components with quadratic drag
-function accel(vx, vy) {
-    // Drag factor
-    const k = 0.5 * params.cd * params.A * params.rho;
-    // Relative velocity (account for wind in +x)
-    const vrelx = vx - params.wind;
-    const vrely = vy;
+// Spin rate (rpm) at time t
+function spinAt(t) {
+    return params.spin * Math.exp(-t / params.spinTau);
+}
+
+// Compute acceleration components with the selected drag model (none,
+// linear, quadratic or both, see dragFactors) and Magnus lift at position
+// (x, y) and time t, and the rate at which the projectile loses energy to
+// the air
+function accel(x, y, vx, vy, t) {
+    const air = airAt(x, y, t);
+    // Drag factors of the chosen model
+    const { b, k } = dragFactors(air.rho);
+    // Relative velocity (account for the wind)
+    const vrelx = vx - air.wx;
+    const vrely = vy - air.wy;
     const v = Math.hypot(vrelx, vrely);
-    // Ax, Ay (drag opposite the relative velocity; gravity in -y)
-    const ax = -(k / params.m) * v * vrelx;
-    const ay = -params.g - (k / params.m) * v * vrely;
-    return { ax, ay };
+    // Drag acceleration, opposite the relative velocity
+    const c = (b + k * v) / params.m;
+    const dax = -c * vrelx;
+    const day = -c * vrely;
+    // Magnus acceleration, v_rel turned 90° toward the spin direction
+    let max = 0, may = 0;
+    if (params.spin !== 0) {
+        const kL = 0.5 * params.cl * params.A * air.rho * (spinAt(t) / Math.abs(params.spin));
+        max = -(kL / params.m) * v * vrely;
+        may = (kL / params.m) * v * vrelx;
+    }
+    // Ax, Ay (drag and lift plus gravity in -y)
+    const ax = dax + max;
+    const ay = -params.g + day + may;
+    // Power lost to the air: -(F_drag + F_M) · v with v in the ground frame
+    const pLoss = -params.m * ((dax + max) * vx + (day + may) * vy);
+    return { ax, ay, pLoss, dax, day, max, may };
 }
 
-// One RK4 integration step on the global `state` with time step dt
-function stepRK4() {
-    const dt = params.dt;
-    const s = state;
+// Time derivative of (x, y, vx, vy, wDrag) at time t, counting the
+// evaluation on `s`
+function deriv(s, x, y, vx, vy, t) {
+    s.evals++;
+    const a = accel(x, y, vx, vy, t);
+    return { x: vx, y: vy, vx: a.ax, vy: a.ay, w: a.pLoss };
+}
+
+// Explicit (forward) Euler: every quantity advances with the slope at the
+// start of the step.  Gains energy on every step and goes unstable for
+// large dt.
+function stepEuler(s, dt) {
+    const k = deriv(s, s.x, s.y, s.vx, s.vy, s.t);
+    s.x += dt * k.x;
+    s.y += dt * k.y;
+    s.vx += dt * k.vx;
+    s.vy += dt * k.vy;
+    s.wDrag += dt * k.w;
+    s.t += dt;
+}
 
-    const a1 = accel(s.vx, s.vy);
-    const k1 = { x: s.vx, y: s.vy, vx: a1.ax, vy: a1.ay };
+// Semi-implicit (symplectic) Euler: update the velocity first, then move
+// with the new velocity
+function stepSemiImplicit(s, dt) {
+    const k = deriv(s, s.x, s.y, s.vx, s.vy, s.t);
+    s.vx += dt * k.vx;
+    s.vy += dt * k.vy;
+    s.x += dt * s.vx;
+    s.y += dt * s.vy;
+    s.wDrag += dt * k.w;
+    s.t += dt;
+}
+
+// Midpoint (RK2): advance with the slope half a step ahead
+function stepMidpoint(s, dt) {
+    const k1 = deriv(s, s.x, s.y, s.vx, s.vy, s.t);
+    const h = 0.5 * dt;
+    const k2 = deriv(s, s.x + h * k1.x, s.y + h * k1.y, s.vx + h * k1.vx, s.vy + h * k1.vy, s.t + h);
+    s.x += dt * k2.x;
+    s.y += dt * k2.y;
+    s.vx += dt * k2.vx;
+    s.vy += dt * k2.vy;
+    s.wDrag += dt * k2.w;
+    s.t += dt;
+}
+
+// One RK4 integration step on `s` with time step dt
+function stepRK4(s, dt) {
+    s.evals += 4;
+    const a1 = accel(s.x, s.y, s.vx, s.vy, s.t);
+    const k1 = { x: s.vx, y: s.vy, vx: a1.ax, vy: a1.ay, w: a1.pLoss };
 
-    const a2 = accel(s.vx + 0.5 * dt * k1.vx, s.vy + 0.5 * dt * k1.vy);
-    const k2 = { x: s.vx + 0.5 * dt * k1.vx, y: s.vy + 0.5 * dt * k1.vy, vx: a2.ax, vy: a2.ay };
+    const a2 = accel(s.x + 0.5 * dt * k1.x, s.y + 0.5 * dt * k1.y,
+        s.vx + 0.5 * dt * k1.vx, s.vy + 0.5 * dt * k1.vy, s.t + 0.5 * dt);
+    const k2 = { x: s.vx + 0.5 * dt * k1.vx, y: s.vy + 0.5 * dt * k1.vy, vx: a2.ax, vy: a2.ay, w: a2.pLoss };
 
-    const a3 = accel(s.vx + 0.5 * dt * k2.vx, s.vy + 0.5 * dt * k2.vy);
-    const k3 = { x: s.vx + 0.5 * dt * k2.vx, y: s.vy + 0.5 * dt * k2.vy, vx: a3.ax, vy: a3.ay };
+    const a3 = accel(s.x + 0.5 * dt * k2.x, s.y + 0.5 * dt * k2.y,
+        s.vx + 0.5 * dt * k2.vx, s.vy + 0.5 * dt * k2.vy, s.t + 0.5 * dt);
+    const k3 = { x: s.vx + 0.5 * dt * k2.vx, y: s.vy + 0.5 * dt * k2.vy, vx: a3.ax, vy: a3.ay, w: a3.pLoss };
 
-    const a4 = accel(s.vx + dt * k3.vx, s.vy + dt * k3.vy);
-    const k4 = { x: s.vx + dt * k3.vx, y: s.vy + dt * k3.vy, vx: a4.ax, vy: a4.ay };
+    const a4 = accel(s.x + dt * k3.x, s.y + dt * k3.y, s.vx + dt * k3.vx, s.vy + dt * k3.vy, s.t + dt);
+    const k4 = { x: s.vx + dt * k3.vx, y: s.vy + dt * k3.vy, vx: a4.ax, vy: a4.ay, w: a4.pLoss };
 
     // Weighted blend of slopes
     s.x += (dt / 6) * (k1.x + 2 * k2.x + 2 * k3.x + k4.x);
     s.y += (dt / 6) * (k1.y + 2 * k2.y + 2 * k3.y + k4.y);
     s.vx += (dt / 6) * (k1.vx + 2 * k2.vx + 2 * k3.vx + k4.vx);
     s.vy += (dt / 6) * (k1.vy + 2 * k2.vy + 2 * k3.vy + k4.vy);
+    s.wDrag += (dt / 6) * (k1.w + 2 * k2.w + 2 * k3.w + k4.w);
+    s.t += dt;
+}
+
+// Dormand–Prince 5(4) tableau: stage times (C) and coefficients, the 5th-order
+// weights (B) and the embedded 4th-order weights (E) used for the error
+// estimate
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_E = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+const DP_KEYS = ['x', 'y', 'vx', 'vy', 'w'];
+
+// One accepted adaptive step of at most dt.  Trial steps whose error
+// estimate exceeds the tolerance are retried with a smaller h; the next
+// step size is kept on `s.h`.
+function stepRK45(s, dt) {
+    const tol = params.tol;
+    let h = Math.min(s.h || dt, dt);
+    for (;;) {
+        // Stage slopes
+        const k = [];
+        for (let i = 0; i < 7; i++) {
+            let x = s.x, y = s.y, vx = s.vx, vy = s.vy;
+            for (let j = 0; j < i; j++) {
+                x += h * DP_A[i][j] * k[j].x;
+                y += h * DP_A[i][j] * k[j].y;
+                vx += h * DP_A[i][j] * k[j].vx;
+                vy += h * DP_A[i][j] * k[j].vy;
+            }
+            k.push(deriv(s, x, y, vx, vy, s.t + DP_C[i] * h));
+        }
+        // 5th-order increment and its difference from the 4th-order one
+        const inc = {}, err = {};
+        for (const key of DP_KEYS) {
+            inc[key] = 0;
+            err[key] = 0;
+            for (let i = 0; i < 7; i++) {
+                inc[key] += h * DP_B[i] * k[i][key];
+                err[key] += h * (DP_B[i] - DP_E[i]) * k[i][key];
+            }
+        }
+        // RMS error relative to tol · (1 + |value|)
+        const cur = { x: s.x, y: s.y, vx: s.vx, vy: s.vy, w: s.wDrag };
+        let sum = 0;
+        for (const key of DP_KEYS) {
+            const sc = tol * (1 + Math.max(Math.abs(cur[key]), Math.abs(cur[key] + inc[key])));
+            sum += (err[key] / sc) ** 2;
+        }
+        const e = Math.sqrt(sum / DP_KEYS.length);
+        // Standard step-size controller with safety factor 0.9
+        const grow = e > 0 ? Math.min(5, Math.max(0.2, 0.9 * e ** -0.2)) : 5;
+        if (e <= 1 || h <= 1e-6) {
+            s.x += inc.x;
+            s.y += inc.y;
+            s.vx += inc.vx;
+            s.vy += inc.vy;
+            s.wDrag += inc.w;
+            s.t += h;
+            s.h = Math.min(dt, h * grow);
+            return h;
+        }
+        s.rejected++;
+        h = Math.max(1e-6, h * grow);
+    }
+}
+
+const STEPPERS = {
+    euler: stepEuler,
+    semi: stepSemiImplicit,
+    midpoint: stepMidpoint,
+    rk4: stepRK4,
+    rk45: stepRK45
+};
+
+// Advance `s` by one step of the chosen integrator; returns the time
+// step taken
+function step(s) {
+    const dt = params.dt;
+    const taken = STEPPERS[params.method](s, dt);
+    s.steps++;
+    return taken ?? dt;
+}
+
+// Size of the next step, used to pace the loop
+function nextStep(s) {
+    return params.method === 'rk45' && !s.sliding ? Math.min(s.h, params.dt) : params.dt;
+}
+
+// Rebound off the ground at the impact state `s` (updated in place) and
+// return the bounce record for the UI.  Velocities are split along the
+// ground tangent and normal at the impact point.
+function bounceOff(s, n) {
+    const slope = groundSlope(s.x);
+    const c = 1 / Math.hypot(1, slope), sn = slope * c;
+    const vt = s.vx * c + s.vy * sn;    // along the ground
+    const vn = -s.vx * sn + s.vy * c;   // away from the ground (< 0 on impact)
+    const vIn = Math.hypot(s.vx, s.vy);
+    let vnOut = -params.e * vn;
+    // Friction impulse opposes sliding but cannot reverse it
+    const dvt = Math.min(Math.abs(vt), params.mu * (1 + params.e) * Math.abs(vn));
+    const vtOut = vt - Math.sign(vt) * dvt;
+    // Too small a rebound to follow: settle and slide from here
+    const settles = vnOut * vnOut < 2 * params.g * SETTLE_HEIGHT;
+    if (settles) {
+        vnOut = 0;
+        s.sliding = true;
+    }
+    s.vx = vtOut * c - vnOut * sn;
+    s.vy = vtOut * sn + vnOut * c;
+    const vOut = Math.hypot(s.vx, s.vy);
+    const loss = 0.5 * params.m * (vIn * vIn - vOut * vOut);
+    s.wGround += loss;
+    return { n, t: s.t, x: s.x, y: s.y, vIn, vOut, loss, settles };
+}
+
+// One step of sliding along the ground, or along the flat top of an
+// obstacle (`s.support`): gravity and drag along the tangent, kinetic
+// friction μ·g·cosθ against the motion.  Static friction holds the ball
+// once it stops unless the slope is steeper than μ allows.  A ball whose
+// centre passes the end of an obstacle's top flies off it, and one where
+// the ground falls away faster than free fall would take it takes off.
+function stepSlide(s, dt) {
+    if (!s.support && !s.resting) {
+        const x = s.x + s.vx * dt;
+        const yFree = s.y + s.vy * dt - 0.5 * params.g * dt * dt;
+        if (groundY(x) < yFree - 1e-9) {
+            s.sliding = false;
+            return step(s);
+        }
+    }
+    s.evals++;
+    s.steps++;
+    const top = s.support;
+    const slope = top ? 0 : groundSlope(s.x);
+    const c = 1 / Math.hypot(1, slope), sn = slope * c;
+    const a = accel(s.x, s.y, s.vx, s.vy, s.t);
+    const at = a.ax * c + a.ay * sn;
+    const fr = params.mu * params.g * c;
+    let u = s.vx * c + s.vy * sn;
+    let uNext;
+    if (Math.abs(u) < REST_SPEED) {
+        if (Math.abs(at) <= fr) {
+            s.vx = s.vy = 0;
+            s.resting = true;
+            s.t += dt;
+            return dt;
+        }
+        u = 0;
+        uNext = (at - Math.sign(at) * fr) * dt;
+    } else {
+        uNext = u + (at - Math.sign(u) * fr) * dt;
+        if (uNext * u < 0) uNext = 0; // friction stops it within the step
+    }
+    const ds = 0.5 * (u + uNext) * dt;
+    s.wDrag += a.pLoss * dt;
+    s.wGround += params.m * fr * Math.abs(ds);
+    s.x += ds * c;
+    if (top) {
+        s.vx = uNext;
+        s.vy = 0;
+        s.t += dt;
+        if (s.x < top.x0 || s.x > top.x1) {
+            s.sliding = false;
+            s.support = null;
+        }
+        return dt;
+    }
+    s.y = groundY(s.x);
+    const slopeNext = groundSlope(s.x);
+    const cNext = 1 / Math.hypot(1, slopeNext);
+    s.vx = uNext * cNext;
+    s.vy = uNext * slopeNext * cNext;
     s.t += dt;
+    return dt;
+}
+
+// Advance `run` by one step, appending the samples to stream to
+// `out.points`, any ground impact to `out.bounces`, obstacle contacts
+// to `out.obstacles` and key moments to `out.events`.  Sets `run.end`
+// when the run is over and returns the time step taken.
+function advance(run, out) {
+    const s = run.s;
+    // Keep previous sample to detect ground crossing
+    const prev = { ...s };
+    const taken = s.sliding ? stepSlide(s, params.dt) : step(s);
+
+    const hit = s.sliding ? null : groundHit(prev, s);
+    let end = hit || s;
+    // An obstacle in the way cuts the step short at the contact
+    const block = obstacleHit(prev, end);
+    if (block) end = lerpState(prev, end, block.u);
+    // Passing through the target ends the run there
+    const u = targetCheck(run, prev, end);
+    // Apex and line crossings up to where the step stops
+    stepEvents(prev, u !== null ? lerpState(prev, end, u) : end, out);
+    if (u !== null) {
+        Object.assign(s, lerpState(prev, end, u));
+        // Score a hit by how far the path's line passes from the centre
+        const T = params.target, v = Math.hypot(s.vx, s.vy);
+        const d = v > 0 ? Math.abs(s.vx * (T.y - s.y) - s.vy * (T.x - s.x)) / v : run.targetBest.d;
+        run.targetBest = { d: Math.min(d, run.targetBest.d), x: s.x, y: s.y, t: s.t };
+        out.points.push(snapshot(s));
+        run.end = 'target';
+        return taken;
+    }
+    params.obstacles.forEach((o, index) => {
+        const v = o.kind === 'hoop' ? throughHoop(o, prev, end) : null;
+        if (v !== null) {
+            const q = lerpState(prev, end, v);
+            out.obstacles.push({ index, kind: o.kind, action: 'through', t: q.t, x: q.x, y: q.y });
+        }
+    });
+    if (block) {
+        Object.assign(s, end);
+        out.points.push(snapshot(s));
+        if (params.obstacleMode === 'stop') {
+            const vIn = Math.hypot(s.vx, s.vy);
+            const o = params.obstacles[block.index];
+            out.obstacles.push({ index: block.index, kind: o.kind, action: 'stop', t: s.t, x: s.x, y: s.y, vIn, vOut: 0, loss: 0 });
+            out.events.push(eventAt('collision', s, { index: block.index, obstacle: o.kind, action: 'stop', vIn, vOut: 0 }));
+            run.end = 'obstacle';
+            return taken;
+        }
+        // Like a ground bounce: the contact point twice, in and out
+        const incoming = { ...s };
+        const contact = bounceObstacle(s, block);
+        out.obstacles.push(contact);
+        out.events.push(eventAt('collision', incoming, {
+            index: block.index, obstacle: contact.kind, action: contact.action, vIn: contact.vIn, vOut: contact.vOut
+        }));
+        out.points.push(snapshot(s));
+        if (s.resting) run.end = 'rest';
+        return taken;
+    }
+    if (hit && params.bounce) {
+        // Record the impact twice, with the incoming and the rebound
+        // velocity, then carry on flying from the impact point
+        Object.assign(s, hit);
+        out.points.push(snapshot(s));
+        const incoming = { ...s };
+        const bounce = bounceOff(s, ++run.bounces);
+        out.bounces.push(bounce);
+        out.events.push(eventAt(bounce.n === 1 ? 'landing' : 'bounce', incoming, { n: bounce.n, vIn: bounce.vIn, vOut: bounce.vOut }));
+        out.points.push(snapshot(s));
+        return taken;
+    }
+    if (hit) {
+        // The exact landing point on the ground line
+        Object.assign(s, hit);
+        out.points.push(snapshot(s));
+        out.events.push(eventAt('landing', s, { n: 1 }));
+        run.end = 'landed';
+        return taken;
+    }
+
+    // Normal sample
+    out.points.push(snapshot(s));
+
+    if (s.resting) run.end = 'rest';                    // stopped on the ground
+    else if (s.t >= params.maxT) run.end = 'maxT';      // safety cutoff on time
+    else if (s.steps >= MAX_RUN_STEPS) run.end = 'steps';
+    return taken;
+}
+
+// Event record of `type` at state `s`, with any extra fields
+function eventAt(type, s, extra) {
+    return { type, t: s.t, x: s.x, y: s.y, vx: s.vx, vy: s.vy, ...extra };
+}
+
+// Apex and event-line crossings strictly inside the step from `prev` to
+// `s`, in time order.  Each is located on the step's Hermite curve, added
+// to `out.points` (so replays can stop on it) and to `out.events`.
+function stepEvents(prev, s, out) {
+    const h = s.t - prev.t;
+    if (!(h > 0)) return;
+    const found = [];
+    if (!prev.sliding && prev.vy > 0 && s.vy <= 0) {
+        // vy varies almost linearly over a step
+        found.push({ u: prev.vy / (prev.vy - s.vy), type: 'apex' });
+    }
+    for (const axis of ['x', 'y']) {
+        const d = 'v' + axis;
+        const at = (u) => hermite(prev[axis], prev[d], s[axis], s[d], h, u);
+        for (const value of params.lines[axis]) {
+            const below = prev[axis] < value;
+            if (below === s[axis] < value) continue;
+            let lo = 0, hi = 1;
+            for (let i = 0; i < 50; i++) {
+                const mid = 0.5 * (lo + hi);
+                if (at(mid) < value === below) lo = mid; else hi = mid;
+            }
+            found.push({ u: 0.5 * (lo + hi), type: 'crossing', axis, value });
+        }
+    }
+    found.sort((a, b) => a.u - b.u);
+    for (const f of found) {
+        const q = lerpState(prev, s, f.u);
+        q.x = hermite(prev.x, prev.vx, s.x, s.vx, h, f.u);
+        q.y = hermite(prev.y, prev.vy, s.y, s.vy, h, f.u);
+        if (f.type === 'apex') q.vy = 0;
+        else q[f.axis] = f.value;
+        out.points.push(snapshot(q));
+        out.events.push(f.type === 'apex' ? eventAt('apex', q) : eventAt('crossing', q, { axis: f.axis, value: f.value }));
+    }
+}
+
+// Earliest contact of the ball with an obstacle on the straight step from
+// `prev` to `s`: { u, nx, ny, index, top } with u the fraction along the
+// step, (nx, ny) the outward surface normal and, on the top of a
+// rectangle, `top` the line { y, x0, x1 } the ball's centre can slide
+// along, or null.  The ball's radius comes from its cross-section A;
+// parts it starts inside are ignored.
+function obstacleHit(prev, s) {
+    if (!params.obstacles.length) return null;
+    const rb = Math.sqrt(params.A / Math.PI);
+    const dx = s.x - prev.x, dy = s.y - prev.y;
+    let best = null;
+    const keep = (u, nx, ny, index, top = null) => {
+        if (u >= 0 && u <= 1 && dx * nx + dy * ny < 0 && (!best || u < best.u)) best = { u, nx, ny, index, top };
+    };
+    params.obstacles.forEach((o, index) => {
+        const { rects, rims } = obstacleParts(o);
+        for (const b of rects) {
+            // Slab test against the rectangle grown by the ball radius
+            let uIn = -Infinity, uOut = Infinity, nx = 0, ny = 0;
+            for (const [p, d, lo, hi, axis] of [[prev.x, dx, b.x0 - rb, b.x1 + rb, 0], [prev.y, dy, b.y0 - rb, b.y1 + rb, 1]]) {
+                if (d === 0) {
+                    if (p < lo || p > hi) uIn = Infinity;
+                    continue;
+                }
+                let u0 = (lo - p) / d, u1 = (hi - p) / d, n = -1;
+                if (u0 > u1) { [u0, u1] = [u1, u0]; n = 1; }
+                if (u0 > uIn) { uIn = u0; nx = axis ? 0 : n; ny = axis ? n : 0; }
+                uOut = Math.min(uOut, u1);
+            }
+            if (uIn <= uOut) keep(uIn, nx, ny, index, ny === 1 ? { y: b.y1 + rb, x0: b.x0 - rb, x1: b.x1 + rb } : null);
+        }
+        for (const c of rims) {
+            // First time the ball's centre comes within reach of the rim
+            const R = rb + RIM_RADIUS;
+            const fx = prev.x - c.x, fy = prev.y - c.y;
+            const a = dx * dx + dy * dy, k = fx * dx + fy * dy, cc = fx * fx + fy * fy - R * R;
+            if (a === 0 || cc < 0 || k * k - a * cc < 0) continue;
+            const u = (-k - Math.sqrt(k * k - a * cc)) / a;
+            keep(u, (fx + u * dx) / R, (fy + u * dy) / R, index);
+        }
+    });
+    return best;
+}
+
+// Fraction along the step from `prev` to `s` where it drops through the
+// ring of hoop `o`, or null
+function throughHoop(o, prev, s) {
+    if (!(prev.y > o.y && s.y <= o.y)) return null;
+    const u = (prev.y - o.y) / (prev.y - s.y);
+    return Math.abs(prev.x + u * (s.x - prev.x) - o.x) < o.r ? u : null;
+}
+
+// Rebound off the obstacle surface of `hit`: the normal velocity reverses
+// scaled by obstacleE and the tangential part is kept.  Too small a
+// rebound off an upward-facing surface leaves the ball on it: on the flat
+// top of a wall, net or backboard it slides on with ground friction (and
+// may fly off the edge), on a rim it rests.
+function bounceObstacle(s, hit) {
+    const o = params.obstacles[hit.index];
+    const vn = s.vx * hit.nx + s.vy * hit.ny; // < 0 on impact
+    const vIn = Math.hypot(s.vx, s.vy);
+    s.vx -= (1 + params.obstacleE) * vn * hit.nx;
+    s.vy -= (1 + params.obstacleE) * vn * hit.ny;
+    const vnOut = -params.obstacleE * vn;
+    if (hit.ny > 0 && vnOut * vnOut < 2 * params.g * hit.ny * SETTLE_HEIGHT) {
+        if (hit.top) {
+            // Only the normal rebound is lost; the ball keeps its speed
+            // along the top
+            s.vy = 0;
+            s.sliding = true;
+            s.support = hit.top;
+        } else {
+            s.vx = 0;
+            s.vy = 0;
+            s.resting = true;
+        }
+    }
+    const vOut = Math.hypot(s.vx, s.vy);
+    const loss = 0.5 * params.m * (vIn * vIn - vOut * vOut);
+    s.wGround += loss;
+    const action = s.resting ? 'rest' : 'bounce';
+    return { index: hit.index, kind: o.kind, action, t: s.t, x: s.x, y: s.y, vIn, vOut, loss };
 }
 
 // Main paced loop: accumulate wall-clock time × SPEED, then integrate fixed dt steps
@@ -142,76 +841,266 @@ function loop() {
     acc += ((now - lastReal) / 1000) * SPEED;
     lastReal = now;
 
-    // 2) Integrate enough dt-steps to "catch up" (bounded by MAX_STEPS)
-    const batch = [];
+    // 2) Integrate enough steps to "catch up" (bounded by MAX_STEPS)
+    const out = { points: [], bounces: [], obstacles: [], events: [] };
     let steps = 0;
+    while (!live.end && acc >= nextStep(live.s) && steps < MAX_STEPS) {
+        acc -= advance(live, out);
+        steps++;
+    }
 
-    while (acc >= params.dt && steps < MAX_STEPS) {
-        // Keep previous sample to detect ground crossing
-        const prev = { ...state };
+    // 3) Send the batch (if any), then the impacts and contacts it contains
+    if (out.points.length) {
+        postMessage({ type: 'tick', points: out.points, state: snapshot(live.s), diag: diagnostics(live.s) });
+    }
+    for (const bounce of out.bounces) postMessage({ type: 'bounce', bounce });
+    for (const event of out.obstacles) postMessage({ type: 'obstacle', event });
+    for (const event of out.events) postMessage({ type: 'event', event });
 
-        stepRK4();
-        acc -= params.dt;
-        steps++;
+    // 4) If still running, schedule the next paced iteration (~60 Hz UI)
+    if (live.end) {
+        running = false;
+        finish(live);
+        return;
+    }
 
-        // Ground-crossing detection: if we stepped from y≥0 to y<0, interpolate the hit
-        if (prev.y >= 0 && state.y < 0) {
-            // Linear interpolation factor alpha where y(alpha) = 0
-            const denom = (prev.y - state.y) || 1e-12;
-            const alpha = prev.y / denom; // in (0,1)
-
-            // Interpolated landing state at y=0
-            const xHit = prev.x + alpha * (state.x - prev.x);
-            const tHit = prev.t + alpha * (state.t - prev.t);
-            const vxHit = prev.vx + alpha * (state.vx - prev.vx);
-            const vyHit = prev.vy + alpha * (state.vy - prev.vy);
-            const vHit = Math.hypot(vxHit, vyHit);
-
-            // First flush any normal points we already accumulated this tick
-            if (batch.length) {
-                postMessage({
-                    type: 'tick',
-                    points: batch,
-                    state: { x: state.x, y: state.y, t: state.t, vx: state.vx, vy: state.vy, v: Math.hypot(state.vx, state.vy) }
-                });
-            }
+    loopTimer = setTimeout(loop, 16);
+}
 
-            // Then send the exact landing point on the ground (y=0)
-            postMessage({
-                type: 'tick',
-                points: [{ x: xHit, y: 0, t: tHit, v: vHit }],
-                state: { x: xHit, y: 0, t: tHit, vx: vxHit, vy: vyHit, v: vHit }
-            });
+// Hit/miss score of a finished run, or null without a target
+function targetResult(run) {
+    const T = params.target;
+    if (!T || !run.targetBest) return null;
+    return { ...run.targetBest, hit: run.targetBest.d <= T.r, r: T.r };
+}
 
-            // Stop the simulation
-            running = false;
-            postMessage({ type: 'done' });
-            return;
-        }
+// End of a run: score the target (if any), then signal `done`
+function finish(run) {
+    const result = targetResult(run);
+    if (result) postMessage({ type: 'target', result });
+    postMessage({ type: 'done' });
+}
+
+// Closest approach of the step from `prev` to `s` to the target, kept in
+// run.targetBest.  Returns the fraction along the step nearest the target
+// if it is within the hit radius, else null.
+function targetCheck(run, prev, s) {
+    const T = params.target;
+    if (!T) return null;
+    const dx = s.x - prev.x, dy = s.y - prev.y;
+    const len2 = dx * dx + dy * dy;
+    const u = len2 > 0 ? Math.min(1, Math.max(0, ((T.x - prev.x) * dx + (T.y - prev.y) * dy) / len2)) : 0;
+    const x = prev.x + u * dx, y = prev.y + u * dy;
+    const d = Math.hypot(T.x - x, T.y - y);
+    if (!run.targetBest || d < run.targetBest.d) run.targetBest = { d, x, y, t: prev.t + u * (s.t - prev.t) };
+    return d <= T.r ? u : null;
+}
+
+// State a fraction u of the way from `a` to `b`
+function lerpState(a, b, u) {
+    const s = { ...b };
+    for (const k of ['x', 'y', 't', 'vx', 'vy', 'wDrag', 'wGround']) s[k] = a[k] + u * (b[k] - a[k]);
+    return s;
+}
 
-        // Normal sample
-        batch.push({ x: state.x, y: state.y, t: state.t, v: Math.hypot(state.vx, state.vy) });
+// Cubic Hermite interpolation across a step of length h at fraction u,
+// from the end values p0, p1 and their time derivatives d0, d1
+function hermite(p0, d0, p1, d1, h, u) {
+    const u2 = u * u, u3 = u2 * u;
+    return (2 * u3 - 3 * u2 + 1) * p0 + (u3 - 2 * u2 + u) * h * d0 +
+        (-2 * u3 + 3 * u2) * p1 + (u3 - u2) * h * d1;
+}
 
-        // Safety cutoff on time
-        if (state.t >= params.maxT) { running = false; break; }
+// Ground-crossing detection: if a step went from above the ground line to
+// below it, return the state at the crossing, else null.  The path within
+// the step is a cubic Hermite curve through both ends (positions and
+// velocities), so the landing point stays accurate with coarse steps.
+function groundHit(prev, s) {
+    const hPrev = prev.y - groundY(prev.x);
+    const hNow = s.y - groundY(s.x);
+    if (!(hPrev >= 0 && hNow < 0)) return null;
+    const h = s.t - prev.t;
+    const xAt = (u) => hermite(prev.x, prev.vx, s.x, s.vx, h, u);
+    const heightAt = (u) => hermite(prev.y, prev.vy, s.y, s.vy, h, u) - groundY(xAt(u));
+    // Bisect for the fraction alpha where the height above ground is 0
+    let lo = 0, hi = 1;
+    for (let i = 0; i < 50; i++) {
+        const mid = 0.5 * (lo + hi);
+        if (heightAt(mid) >= 0) lo = mid; else hi = mid;
     }
+    const alpha = 0.5 * (lo + hi);
+    const x = xAt(alpha);
+    return {
+        x,
+        y: groundY(x),
+        t: prev.t + alpha * h,
+        vx: prev.vx + alpha * (s.vx - prev.vx),
+        vy: prev.vy + alpha * (s.vy - prev.vy),
+        wDrag: prev.wDrag + alpha * (s.wDrag - prev.wDrag),
+        wGround: prev.wGround + alpha * (s.wGround - prev.wGround)
+    };
+}
+
+// Columns of the trajectory returned by `compute`
+const TRAJECTORY_FIELDS = ['t', 'x', 'y', 'vx', 'vy', 'v', 'wDrag', 'wGround', 'fDrag'];
 
-    // 3) Send the batch (if any)
-    if (batch.length) {
-        postMessage({
-            type: 'tick',
-            points: batch,
-            state: { x: state.x, y: state.y, t: state.t, vx: state.vx, vy: state.vy, v: Math.hypot(state.vx, state.vy) }
-        });
+// Run one launch with the current params to completion, without pacing.
+// Leaves the paced run untouched.  With untilLanding, bounce mode and the
+// target are ignored and the run ends at the first landing.  Without
+// withTrajectory the result's trajectory is null.
+function compute({ untilLanding = false, withTrajectory = true } = {}) {
+    const base = params;
+    if (untilLanding) params = { ...base, bounce: false, target: null };
+    const run = newRun();
+    const out = { points: [snapshot(run.s)], bounces: [], obstacles: [], events: [] };
+    while (!run.end) advance(run, out);
+    // Flight summary up to the first landing (the first bounce, if any)
+    const first = out.bounces.length ? out.bounces[0] : run.end === 'landed' ? run.s : null;
+    let apex = -Infinity;
+    for (const p of out.points) {
+        if (first && p.t > first.t) break;
+        if (p.y > apex) apex = p.y;
     }
+    const last = out.points[out.points.length - 1];
+    const summary = {
+        range: first ? first.x : last.x,
+        apex,
+        time: first ? first.t : last.t,
+        landed: !!first,
+        end: run.end
+    };
+    let trajectory = null;
+    if (withTrajectory) {
+        trajectory = {};
+        for (const k of TRAJECTORY_FIELDS) trajectory[k] = Float64Array.from(out.points, p => p[k]);
+    }
+    const result = {
+        trajectory, bounces: out.bounces, obstacles: out.obstacles, events: out.events,
+        target: targetResult(run), summary, diag: diagnostics(run.s)
+    };
+    params = base;
+    return result;
+}
 
-    // 4) If still running, schedule the next paced iteration (~60 Hz UI)
-    if (!running) {
-        postMessage({ type: 'done' });
-        return;
+// Counter for the steps of the runs one sweep or solve makes: once they
+// pass MAX_BATCH_STEPS it puts back the params `base` and throws
+function stepBudget(base) {
+    let steps = 0;
+    return (n) => {
+        steps += n;
+        if (steps > MAX_BATCH_STEPS) {
+            params = base;
+            throw new Error(`gave up after ${MAX_BATCH_STEPS} steps; try a larger dt or a shorter max time`);
+        }
+    };
+}
+
+// Sweep one launch parameter ('angleDeg' or 'v0') from `from` to `to` in
+// increments of `step` (at most 1000 runs), simulating each value with
+// the other params unchanged.  Gives up once its runs together take more
+// than MAX_BATCH_STEPS steps.
+function sweep(spec = {}) {
+    const variable = spec.variable === 'v0' ? 'v0' : 'angleDeg';
+    const hi = variable === 'v0' ? 1000 : 90;
+    const from = Math.min(hi, Math.max(0, Number.isFinite(+spec.from) ? +spec.from : 0));
+    const to = Math.min(hi, Math.max(from, Number.isFinite(+spec.to) ? +spec.to : hi));
+    const step = Number.isFinite(+spec.step) && +spec.step > 0 ? +spec.step : 1;
+    const count = Math.min(1000, Math.floor((to - from) / step + 1e-9) + 1);
+    const base = params;
+    const spend = stepBudget(base);
+    const results = [];
+    for (let i = 0; i < count; i++) {
+        const value = from + i * step;
+        params = { ...base, [variable]: value };
+        const { summary, diag } = compute({ untilLanding: true, withTrajectory: false });
+        spend(diag.steps);
+        const { range, apex, time, landed } = summary;
+        results.push({ value, range, apex, time, landed });
     }
+    params = base;
+    return { variable, results };
+}
 
-    loopTimer = setTimeout(loop, 16);
+// Signed height of a computed path above the point (xt, yt) where it first
+// reaches x = xt.  A path that lands (or times out) short of xt counts as
+// below the target by the height difference plus the shortfall, which
+// keeps the function continuous for root finding.
+function offsetAt({ x, y }, xt, yt) {
+    for (let i = 1; i < x.length; i++) {
+        if (x[i - 1] < xt && x[i] >= xt) {
+            const u = (xt - x[i - 1]) / (x[i] - x[i - 1]);
+            return y[i - 1] + u * (y[i] - y[i - 1]) - yt;
+        }
+    }
+    const n = x.length - 1;
+    return y[n] - yt - (xt - x[n]);
+}
+
+// Path of one launch up to landing, thinned to at most ~400 points
+function trace() {
+    const { x, y } = compute({ untilLanding: true }).trajectory;
+    const every = Math.ceil(x.length / 400);
+    const pts = [];
+    for (let i = 0; i < x.length; i++) {
+        if (i % every === 0 || i === x.length - 1) pts.push({ x: x[i], y: y[i] });
+    }
+    return pts;
+}
+
+// Aim at the target.  mode 'angle': every launch angle (scanned in 1°
+// steps, refined by bisection) whose path passes through the target at
+// the current v0; the first and last are the low and high arcs.  mode
+// 'v0': the smallest launch speed (scanned in 1 m/s steps up to 64 m/s,
+// then bracketed by doubling) at the current angle.  Each solution
+// carries its path for drawing.  Gives up once its runs together take
+// more than MAX_BATCH_STEPS steps.
+function solve(spec = {}) {
+    const T = params.target;
+    if (!T) throw new Error('no target set');
+    if (!(T.x > 0)) throw new Error('place the target in front of the launch point (x > 0)');
+    const base = params;
+    const mode = spec.mode === 'v0' ? 'v0' : 'angle';
+    const variable = mode === 'v0' ? 'v0' : 'angleDeg';
+    const spend = stepBudget(base);
+    const f = (value) => {
+        params = { ...base, [variable]: value };
+        const { trajectory, diag } = compute({ untilLanding: true });
+        spend(diag.steps);
+        return offsetAt(trajectory, T.x, T.y);
+    };
+    const refine = (lo, flo, hi) => {
+        for (let i = 0; i < 50 && hi - lo > 1e-9; i++) {
+            const mid = 0.5 * (lo + hi);
+            const fm = f(mid);
+            if ((fm < 0) === (flo < 0)) { lo = mid; flo = fm; } else hi = mid;
+        }
+        return 0.5 * (lo + hi);
+    };
+    const roots = [];
+    if (mode === 'angle') {
+        let prevA = 0, prevF = f(0);
+        for (let a = 1; a <= 90; a++) {
+            const fa = f(a);
+            if ((fa < 0) !== (prevF < 0)) roots.push(refine(prevA, prevF, a));
+            prevA = a;
+            prevF = fa;
+        }
+    } else {
+        let lo = 0, flo = f(0);
+        for (let v = 1; v <= 2048; v = v < 64 ? v + 1 : 2 * v) {
+            const fv = f(v);
+            if (flo < 0 && fv >= 0) { roots.push(refine(lo, flo, v)); break; }
+            lo = v;
+            flo = fv;
+        }
+    }
+    const picked = roots.length > 2 ? [roots[0], roots[roots.length - 1]] : roots;
+    const solutions = picked.map(value => {
+        params = { ...base, [variable]: value };
+        return { angleDeg: params.angleDeg, v0: params.v0, path: trace() };
+    });
+    params = base;
+    return { mode, target: T, solutions };
 }
 
 // Clear any pending timer
@@ -18,58 +18,306 @@
     // Inputs
     const v0El = $('proj_v0');
     const angleEl = $('proj_angle');
+    const dragModelEl = $('proj_dragModel');
+    const bEl = $('proj_b');
+    const bRow = $('proj_bRow');
     const cdEl = $('proj_cd');
+    const cdRow = $('proj_cdRow');
+    const terminalEl = $('proj_terminal');
     const windEl = $('proj_wind');
+    const windProfileEl = $('proj_windProfile');
+    const windVyEl = $('proj_windVy');
+    const shearEl = $('proj_shear');
+    const refHeightEl = $('proj_refHeight');
+    const alphaEl = $('proj_alpha');
+    const gustAmpEl = $('proj_gustAmp');
+    const gustSeedEl = $('proj_gustSeed');
+    const shearRow = $('proj_shearRow');
+    const powerRows = [$('proj_refHeightRow'), $('proj_alphaRow')];
+    const gustRows = [$('proj_gustAmpRow'), $('proj_gustSeedRow')];
+    const rhoModelEl = $('proj_rhoModel');
+    const scaleHeightEl = $('proj_scaleHeight');
+    const scaleHeightRow = $('proj_scaleHeightRow');
+    const maxTEl = $('proj_maxT');
+    const spinEl = $('proj_spin');
+    const clEl = $('proj_cl');
+    const spinTauEl = $('proj_spinTau');
+    const mEl = $('proj_m');
+    const areaEl = $('proj_area');
+    const rhoEl = $('proj_rho');
+    const gEl = $('proj_g');
+    const h0El = $('proj_h0');
+    const groundEl = $('proj_ground');
+    const slopeEl = $('proj_slope');
+    const terrainEl = $('proj_terrain');
+    const slopeRow = $('proj_slopeRow');
+    const terrainRow = $('proj_terrainRow');
+    const bounceEl = $('proj_bounce');
+    const eEl = $('proj_e');
+    const muEl = $('proj_mu');
+    const eRow = $('proj_eRow');
+    const muRow = $('proj_muRow');
+    const methodEl = $('proj_method');
+    const dtEl = $('proj_dt');
+    const tolEl = $('proj_tol');
+    const tolRow = $('proj_tolRow');
+    const presetEl = $('proj_preset');
     const speedEl = $('proj_speed');
     const applyBtn = $('proj_applyBtn');
 
+    // Export / import
+    const exportCsvBtn = $('proj_exportCsvBtn');
+    const exportJsonBtn = $('proj_exportJsonBtn');
+    const importBtn = $('proj_importBtn');
+    const importFileEl = $('proj_importFile');
+
     // HUD elements
     const hudXEl = $('proj_hudX');
     const hudYEl = $('proj_hudY');
     const tooltip = $('proj_tooltip');
 
+    // Analytic reference toggle and comparison readout
+    const showRefEl = $('proj_showRef');
+    // Vector overlays
+    const showVelEl = $('proj_showVel');
+    const showAccEl = $('proj_showAcc');
+    const showForcesEl = $('proj_showForces');
+    const showCrumbsEl = $('proj_showCrumbs');
+    const crumbDtEl = $('proj_crumbDt');
+    const crumbDtRow = $('proj_crumbDtRow');
+    // Event lines and the event log
+    const linesXEl = $('proj_linesX');
+    const linesYEl = $('proj_linesY');
+    const eventsEl = $('proj_events');
+    const eventBody = $('proj_eventBody');
+    const compareEl = $('proj_compare');
+    const simRangeEl = $('proj_simRange');
+    const simApexEl = $('proj_simApex');
+    const simTimeEl = $('proj_simTime');
+    const refRangeEl = $('proj_refRange');
+    const refApexEl = $('proj_refApex');
+    const refTimeEl = $('proj_refTime');
+    const refHeadEl = $('proj_refHead');
+    const refErrorEl = $('proj_refError');
+
+    // Target challenge and aiming solver
+    const targetOnEl = $('proj_targetOn');
+    const targetXEl = $('proj_targetX');
+    const targetYEl = $('proj_targetY');
+    const targetREl = $('proj_targetR');
+    const solveModeEl = $('proj_solveMode');
+    const placeBtn = $('proj_placeBtn');
+    const solveBtn = $('proj_solveBtn');
+    const targetRows = ['proj_targetXRow', 'proj_targetYRow', 'proj_targetRRow', 'proj_solveModeRow', 'proj_targetBtns'].map($);
+    const targetInfoEl = $('proj_targetInfo');
+
+    // Obstacles
+    const obsKindEl = $('proj_obsKind');
+    const obsXEl = $('proj_obsX');
+    const obsYEl = $('proj_obsY');
+    const obsWEl = $('proj_obsW');
+    const obsHEl = $('proj_obsH');
+    const obsREl = $('proj_obsR');
+    const obsWRow = $('proj_obsWRow');
+    const obsHRow = $('proj_obsHRow');
+    const obsRRow = $('proj_obsRRow');
+    const obsAddBtn = $('proj_obsAddBtn');
+    const obsDrawBtn = $('proj_obsDrawBtn');
+    const obsListEl = $('proj_obsList');
+    const obsModeEl = $('proj_obsMode');
+    const obsEEl = $('proj_obsE');
+    const obsERow = $('proj_obsERow');
+    const obstacleInfoEl = $('proj_obstacleInfo');
+
+    // Run history legend
+    const runsEl = $('proj_runs');
+    const runsBody = $('proj_runsBody');
+    const clearRunsBtn = $('proj_clearRunsBtn');
+
+    // Sweep controls and chart
+    const sweepCanvas = $('proj_sweepCanvas');
+    const sweepCtx = sweepCanvas.getContext('2d');
+    const sweepVarEl = $('proj_sweepVar');
+    const sweepFromEl = $('proj_sweepFrom');
+    const sweepToEl = $('proj_sweepTo');
+    const sweepStepEl = $('proj_sweepStep');
+    const sweepBtn = $('proj_sweepBtn');
+    const sweepInfoEl = $('proj_sweepInfo');
+
+    // Replay timeline
+    const tlBackBtn = $('proj_tlBack');
+    const tlPlayBtn = $('proj_tlPlay');
+    const tlFwdBtn = $('proj_tlFwd');
+    const tlSlider = $('proj_tlSlider');
+    const tlTimeEl = $('proj_tlTime');
+    const tlSpeedEl = $('proj_tlSpeed');
+
+    // Stacked energy bar
+    const energyEl = $('proj_energy');
+    const segKEEl = $('proj_segKE');
+    const segPEEl = $('proj_segPE');
+    const segWEl = $('proj_segW');
+    const segGEl = $('proj_segG');
+    const energyTextEl = $('proj_energyText');
+
+    // Integrator diagnostics
+    const diagEl = $('proj_diag');
+
+    // Bounce list
+    const bouncesEl = $('proj_bounces');
+    const bounceBody = $('proj_bounceBody');
+
+    // Time-series graphs, one canvas per quantity
+    const graphsEl = $('proj_graphs');
+    const graphCanvases = Array.from(graphsEl.querySelectorAll('canvas[data-graph]'));
+
     // Reference to the simulation container for ResizeObserver
     const stageEl = document.querySelector('#projectileSim .stage');
+    const sweepStageEl = document.querySelector('#projSweep .stage');
 
-    // Hi‑DPI support: match the backing store to CSS size * dpr
-    function fitCanvas() {
+    // Hi‑DPI support: match the backing store to CSS size * dpr.  Returns
+    // false while the canvas has not been laid out yet.
+    function fitBackingStore(cv, c, minSize = 300) {
         const dpr = Math.max(1, window.devicePixelRatio || 1);
-        const rect = canvas.getBoundingClientRect();
+        const rect = cv.getBoundingClientRect();
         const cssW = Math.floor(rect.width);
         const cssH = Math.floor(rect.height);
-        if (cssW <= 0 || cssH <= 0) {
+        if (cssW <= 0 || cssH <= 0) return false;
+        const bw = Math.max(minSize, Math.floor(cssW * dpr));
+        const bh = Math.max(minSize, Math.floor(cssH * dpr));
+        if (cv.width !== bw || cv.height !== bh) {
+            cv.width = bw;
+            cv.height = bh;
+            c.setTransform(dpr, 0, 0, dpr, 0, 0);
+        }
+        return true;
+    }
+    function fitCanvas() {
+        if (!fitBackingStore(canvas, ctx)) {
             requestAnimationFrame(fitCanvas);
             return;
         }
-        const bw = Math.max(300, Math.floor(cssW * dpr));
-        const bh = Math.max(300, Math.floor(cssH * dpr));
-        if (canvas.width !== bw || canvas.height !== bh) {
-            canvas.width = bw;
-            canvas.height = bh;
-            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-        }
         draw();
     }
+    function fitSweepCanvas() {
+        if (!fitBackingStore(sweepCanvas, sweepCtx)) {
+            requestAnimationFrame(fitSweepCanvas);
+            return;
+        }
+        drawSweep();
+    }
+    function fitGraphs() {
+        for (const cv of graphCanvases) {
+            if (!fitBackingStore(cv, cv.getContext('2d'), 1)) {
+                requestAnimationFrame(fitGraphs);
+                return;
+            }
+        }
+        drawGraphs();
+    }
     // Set up resize handling.  Guard against browsers/environments that
     // lack ResizeObserver by falling back to a window resize listener.
     if (typeof ResizeObserver !== 'undefined' && stageEl) {
         const ro = new ResizeObserver(() => { fitCanvas(); });
         ro.observe(stageEl);
+        if (sweepStageEl) new ResizeObserver(() => { fitSweepCanvas(); }).observe(sweepStageEl);
+        new ResizeObserver(() => { fitGraphs(); }).observe(graphsEl);
     }
     window.addEventListener('resize', fitCanvas, { passive: true });
+    window.addEventListener('resize', fitSweepCanvas, { passive: true });
+    window.addEventListener('resize', fitGraphs, { passive: true });
     if (document.readyState === 'complete')
         fitCanvas();
     else
         window.addEventListener('load', fitCanvas, { once: true });
     requestAnimationFrame(fitCanvas);
+    requestAnimationFrame(fitSweepCanvas);
+    requestAnimationFrame(fitGraphs);
+
+    // Presets for the preset picker.  Environments set gravity and fluid
+    // density; projectiles set mass, cross-sectional area and drag
+    // coefficient.  Only the listed keys are written to the form.
+    const PRESETS = {
+        earth: { g: 9.81, rho: 1.225 },
+        moon: { g: 1.62, rho: 0 },
+        mars: { g: 3.71, rho: 0.020 },
+        jupiter: { g: 24.79, rho: 0.16 },
+        vacuum: { g: 9.81, rho: 0 },
+        water: { g: 9.81, rho: 1000 },
+        baseball: { m: 0.145, A: 0.0042, cd: 0.35, spin: 0 },
+        golf: { m: 0.0459, A: 0.00143, cd: 0.25, spin: 3000, cl: 0.2 },     // backspun drive
+        pingpong: { m: 0.0027, A: 0.00126, cd: 0.5, spin: 0 },
+        tennis: { m: 0.057, A: 0.00345, cd: 0.55, spin: -2500, cl: 0.25 },  // topspin groundstroke
+        soccer: { m: 0.43, A: 0.038, cd: 0.25, spin: 0 },
+        basketball: { m: 0.62, A: 0.0452, cd: 0.47, spin: 0 }
+    };
+
+    // Colours handed out to finished runs, in order
+    const RUN_COLORS = ['#ffb86b', '#c792ea', '#ff6b8b', '#f7e26b', '#7fdbca', '#ff9e64', '#a3be8c', '#82aaff'];
+    // Oldest runs are dropped once the history grows past this length
+    const MAX_RUNS = 10;
 
     // Simulation state (UI side)
     let worker = null;
     let running = false;
     let paused = false;
     let points = [];
-    let current = { x: 0, y: 0, t: 0, vx: 0, vy: 0, v: 0 };
+    let current = { x: 0, y: 0, t: 0, vx: 0, vy: 0, v: 0, wDrag: 0, wGround: 0 };
     let transforms = null;
+    // Ground impacts of the current run in bounce mode:
+    // { n, t, x, y, vIn, vOut, loss, settles }
+    let bounces = [];
+    // Physical parameters of the current run, so that the tooltip uses
+    // the same mass and gravity as the worker.
+    let simParams = { m: 0.145, g: 9.81, h0: 0, ground: { mode: 'flat', slopeDeg: 0, profile: [] } };
+    // Latest integrator counters from the worker: { method, steps, rejected, evals }
+    let diag = null;
+    // Finished runs kept for comparison:
+    // { id, color, params, points, summary: { range, apex, time, landed }, visible }
+    let runs = [];
+    let nextRunId = 1;
+    let activeRunId = null; // id of the history entry holding the current points
+    let runsVersion = 0;    // bumped on every history change to invalidate transforms
+    // Cached analytic reference for simParams: { forParams, points, range, apex, time, landed }
+    let reference = null;
+    // Sweep: helper worker and its last result { variable, results, best }
+    let sweepWorker = null;
+    // Target challenge: last scored run, session score, solver output
+    let targetResult = null;   // { hit, d, x, y, t, r }
+    let score = { attempts: 0, hits: 0 };
+    let solution = null;       // { mode, target, solutions: [{ angleDeg, v0, path }] }
+    let solveWorker = null;
+    let placing = false;       // next canvas click places the target
+    // Drag-to-aim: the active pointer, the predicted path and the worker
+    // computing it (one request in flight; later drags wait for it)
+    let aim = null;            // { pointerId, dx, dy } drag from the launch point in px
+    let preview = null;        // predicted path [{ x, y }]
+    let previewWorker = null;
+    let previewBusy = false;
+    let previewQueued = false;
+    let previewId = 0;
+    let targetVersion = 0;     // bumped when the target or solution changes
+    // Obstacles in the form, contacts of the current run
+    // ({ index, kind, action, t, x, y, vIn, vOut, loss }) and the drag
+    // drawing a new obstacle ({ pointerId, from, to } in metres)
+    let obstacles = [];
+    let obstacleEvents = [];
+    // Key moments of the current run from the worker's `event` messages:
+    // { type, t, x, y, vx, vy, ... } with type apex, landing, bounce,
+    // collision or crossing
+    let events = [];
+    let drawingObstacle = false; // next canvas drag draws an obstacle
+    let sketch = null;
+    let sweepData = null;
+    let gustCache = null; // gust modes for the wind arrows, see windAt()
+    // Replay: index into `points` being shown (null = live state) and playback clock
+    let viewIndex = null;
+    let replaying = false;
+    let replayT = 0;
+    let replayLast = 0;
+    // Time under the pointer on a graph (null when not hovering)
+    let cursorT = null;
+    let graphsQueued = false;
 
     // Helpers: read numeric inputs with fallback
     function num(el, fallback) {
@@ -80,10 +328,122 @@
         return {
             v0: Math.max(0, num(v0El, 30)),
             angleDeg: Math.min(90, Math.max(0, num(angleEl, 45))),
+            dragModel: dragModelEl.value,
+            b: Math.max(0, num(bEl, 0.01)),
             cd: Math.max(0, num(cdEl, 0.47)),
-            wind: num(windEl, 0)
+            wind: num(windEl, 0),
+            windProfile: windProfileEl.value,
+            windVy: num(windVyEl, 0),
+            shear: num(shearEl, 0.1),
+            refHeight: Math.max(0.1, num(refHeightEl, 10)),
+            alpha: Math.min(1, Math.max(0, num(alphaEl, 0.14))),
+            gustAmp: Math.max(0, num(gustAmpEl, 3)),
+            gustSeed: Math.floor(num(gustSeedEl, 1)),
+            spin: Math.min(20000, Math.max(-20000, num(spinEl, 0))),
+            cl: Math.max(0, num(clEl, 0.2)),
+            spinTau: Math.max(0.1, num(spinTauEl, 10)),
+            m: Math.max(1e-4, num(mEl, 0.145)),
+            A: Math.max(0, num(areaEl, 0.0042)),
+            rho: Math.max(0, num(rhoEl, 1.225)),
+            g: Math.max(0, num(gEl, 9.81)),
+            h0: Math.max(0, num(h0El, 0)),
+            rhoModel: rhoModelEl.value,
+            scaleHeight: Math.max(1, num(scaleHeightEl, 8500)),
+            maxT: Math.min(600, Math.max(1, num(maxTEl, 20))),
+            ground: readGround(),
+            target: readTarget(),
+            obstacles: obstacles.map(o => ({ ...o })),
+            obstacleMode: obsModeEl.value,
+            obstacleE: Math.min(1, Math.max(0, num(obsEEl, 0.6))),
+            lines: readLines(),
+            bounce: bounceEl.checked,
+            e: Math.min(1, Math.max(0, num(eEl, 0.7))),
+            mu: Math.max(0, num(muEl, 0.2)),
+            method: methodEl.value,
+            dt: Math.min(0.5, Math.max(1e-4, num(dtEl, 0.005))),
+            tol: Math.min(1e-2, Math.max(1e-12, num(tolEl, 1e-6)))
         };
     }
+    function readTarget() {
+        if (!targetOnEl.checked) return null;
+        return { x: num(targetXEl, 40), y: num(targetYEl, 5), r: Math.max(0.01, num(targetREl, 1)) };
+    }
+    // Event lines from comma-separated positions, at most 10 per axis
+    function readLines() {
+        const list = (el) => el.value.split(/[\s,;]+/).map(parseFloat).filter(Number.isFinite).slice(0, 10);
+        return { x: list(linesXEl), y: list(linesYEl) };
+    }
+    function readGround() {
+        return {
+            mode: groundEl.value,
+            slopeDeg: Math.min(60, Math.max(-60, num(slopeEl, 0))),
+            profile: parseProfile(terrainEl.value)
+        };
+    }
+    // Parse "x,y; x,y; …" into vertices sorted by x, skipping malformed pairs
+    function parseProfile(text) {
+        const pts = [];
+        for (const pair of String(text).split(';')) {
+            const [x, y] = pair.split(',').map(v => parseFloat(v));
+            if (Number.isFinite(x) && Number.isFinite(y)) pts.push({ x, y });
+        }
+        return pts.sort((a, b) => a.x - b.x);
+    }
+    // Fill the form from a parameter object (the inverse of readParams)
+    function writeParams(p) {
+        const fields = [[v0El, 'v0'], [angleEl, 'angleDeg'], [bEl, 'b'], [cdEl, 'cd'], [windEl, 'wind'], [windVyEl, 'windVy'], [shearEl, 'shear'],
+            [refHeightEl, 'refHeight'], [alphaEl, 'alpha'], [gustAmpEl, 'gustAmp'], [gustSeedEl, 'gustSeed'],
+            [scaleHeightEl, 'scaleHeight'], [maxTEl, 'maxT'], [spinEl, 'spin'], [clEl, 'cl'],
+            [spinTauEl, 'spinTau'], [mEl, 'm'],
+            [areaEl, 'A'], [rhoEl, 'rho'], [gEl, 'g'], [h0El, 'h0'], [eEl, 'e'], [muEl, 'mu'],
+            [dtEl, 'dt'], [tolEl, 'tol'], [obsEEl, 'obstacleE']];
+        for (const [el, key] of fields) {
+            if (Number.isFinite(+p[key])) el.value = +p[key];
+        }
+        // Runs from before the drag model selector used quadratic drag
+        dragModelEl.value = p.dragModel in DRAG_NAMES ? p.dragModel : 'quadratic';
+        if (['constant', 'shear', 'power', 'gusts'].includes(p.windProfile)) windProfileEl.value = p.windProfile;
+        if (['constant', 'exponential'].includes(p.rhoModel)) rhoModelEl.value = p.rhoModel;
+        if ('target' in p) {
+            targetOnEl.checked = !!p.target;
+            if (p.target) {
+                for (const [el, key] of [[targetXEl, 'x'], [targetYEl, 'y'], [targetREl, 'r']]) {
+                    if (Number.isFinite(+p.target[key])) el.value = +p.target[key];
+                }
+            }
+        }
+        if (Array.isArray(p.obstacles)) {
+            obstacles = sanitizeObstacles(p.obstacles);
+            renderObstacles();
+        }
+        if (['bounce', 'stop'].includes(p.obstacleMode)) obsModeEl.value = p.obstacleMode;
+        if (p.lines) {
+            const list = (l) => (Array.isArray(l) ? l : []).filter(v => Number.isFinite(+v)).join(', ');
+            linesXEl.value = list(p.lines.x);
+            linesYEl.value = list(p.lines.y);
+        }
+        if (typeof p.bounce === 'boolean') bounceEl.checked = p.bounce;
+        if (p.method in METHOD_NAMES) methodEl.value = p.method;
+        if (p.ground) {
+            if (['flat', 'incline', 'profile'].includes(p.ground.mode)) groundEl.value = p.ground.mode;
+            if (Number.isFinite(+p.ground.slopeDeg)) slopeEl.value = +p.ground.slopeDeg;
+            if (Array.isArray(p.ground.profile)) {
+                terrainEl.value = p.ground.profile.filter(Boolean).map(q => `${q.x},${q.y}`).join('; ');
+            }
+        }
+    }
+    // Fill the form from a preset; unknown names are ignored
+    function applyPreset(name) {
+        const p = PRESETS[name];
+        if (!p) return;
+        if ('g' in p) gEl.value = p.g;
+        if ('rho' in p) rhoEl.value = p.rho;
+        if ('m' in p) mEl.value = p.m;
+        if ('A' in p) areaEl.value = p.A;
+        if ('cd' in p) cdEl.value = p.cd;
+        if ('spin' in p) spinEl.value = p.spin;
+        if ('cl' in p) clEl.value = p.cl;
+    }
     function readSpeed() {
         const s = parseFloat(speedEl.value);
         return Number.isFinite(s) && s > 0 ? s : 0.25;
@@ -91,6 +451,8 @@
     // Start/restart simulation
     function startWithInputs() {
         if (worker) worker.terminate();
+        stopReplay();
+        viewIndex = null;
         worker = new Worker('proj_worker.js');
         worker.onmessage = (e) => {
             const msg = e.data;
@@ -99,19 +461,46 @@
                     for (const p of msg.points) points.push(p);
                 }
                 if (msg.state) current = msg.state;
+                if (msg.diag) diag = msg.diag;
                 draw();
+            } else if (msg.type === 'target') {
+                targetResult = msg.result;
+                score.attempts++;
+                if (msg.result.hit) score.hits++;
+                renderTargetInfo();
+            } else if (msg.type === 'bounce') {
+                bounces.push(msg.bounce);
+                renderBounces();
+            } else if (msg.type === 'obstacle') {
+                obstacleEvents.push(msg.event);
+                renderObstacleInfo();
+            } else if (msg.type === 'event') {
+                events.push(msg.event);
+                renderEvents();
             } else if (msg.type === 'done') {
                 running = false;
                 paused = false;
                 startBtn.disabled = false;
                 pauseBtn.disabled = true;
+                archiveRun();
+                renderObstacleInfo();
                 draw(true);
             } else if (msg.type === 'error') {
                 alert('Worker error: ' + msg.message);
             }
         };
         points = [];
-        current = { x: 0, y: 0, t: 0, vx: 0, vy: 0, v: 0 };
+        current = { x: 0, y: 0, t: 0, vx: 0, vy: 0, v: 0, wDrag: 0, wGround: 0 };
+        bounces = [];
+        renderBounces();
+        targetResult = null;
+        renderTargetInfo();
+        obstacleEvents = [];
+        events = [];
+        renderEvents();
+        preview = null;
+        diag = null;
+        activeRunId = null;
         running = true;
         paused = false;
         startBtn.disabled = true;
@@ -120,7 +509,11 @@
         hideTooltip();
         updateHUD(0, 0);
         draw();
-        worker.postMessage({ type: 'start', params: readParams(), speed: readSpeed() });
+        const p = readParams();
+        simParams = { ...p };
+        transforms = null;
+        renderObstacleInfo();
+        worker.postMessage({ type: 'start', params: p, speed: readSpeed() });
     }
     // Controls
     startBtn.addEventListener('click', startWithInputs);
@@ -134,15 +527,28 @@
             paused = false;
             pauseBtn.textContent = 'Pause';
             hideTooltip();
+            stopReplay();
+            viewIndex = null;
             worker.postMessage({ type: 'resume' });
         }
     });
     resetBtn.addEventListener('click', () => {
         if (worker) worker.terminate();
+        stopReplay();
+        viewIndex = null;
         running = false;
         paused = false;
         points = [];
-        current = { x: 0, y: 0, t: 0, vx: 0, vy: 0, v: 0 };
+        current = { x: 0, y: 0, t: 0, vx: 0, vy: 0, v: 0, wDrag: 0, wGround: 0 };
+        bounces = [];
+        renderBounces();
+        obstacleEvents = [];
+        renderObstacleInfo();
+        events = [];
+        renderEvents();
+        preview = null;
+        diag = null;
+        activeRunId = null;
         startBtn.disabled = false;
         pauseBtn.disabled = true;
         pauseBtn.textContent = 'Pause';
@@ -151,19 +557,1334 @@
         draw();
     });
     applyBtn.addEventListener('click', startWithInputs);
+    // The preset picker acts as a menu: fill the fields, then return to
+    // the placeholder so the same preset can be chosen again.
+    presetEl.addEventListener('change', () => {
+        applyPreset(presetEl.value);
+        presetEl.value = '';
+    });
+    // Show only the inputs for the chosen ground mode, and preview the
+    // ground line while no run is in progress.
+    function onGroundInput() {
+        slopeRow.hidden = groundEl.value !== 'incline';
+        terrainRow.hidden = groundEl.value !== 'profile';
+        if (running) return;
+        simParams = { ...simParams, h0: Math.max(0, num(h0El, 0)), ground: readGround() };
+        transforms = null;
+        draw();
+    }
+    for (const el of [groundEl, slopeEl, terrainEl, h0El]) el.addEventListener('change', onGroundInput);
+    onGroundInput();
+    // Show the inputs of the chosen drag model and its terminal speed
+    const DRAG_NAMES = { none: 'no drag', linear: 'linear drag', quadratic: 'quadratic drag', combined: 'linear + quadratic drag' };
+    function onDragInput() {
+        const model = dragModelEl.value;
+        bRow.hidden = model !== 'linear' && model !== 'combined';
+        cdRow.hidden = model !== 'quadratic' && model !== 'combined';
+        const p = readParams();
+        const vt = terminalSpeed(p);
+        let text = Number.isFinite(vt) ? `Terminal speed ${vt.toFixed(2)} m/s` : 'No terminal speed: nothing balances the weight';
+        if (Number.isFinite(vt) && model === 'linear') text += ` (τ = m/b = ${(p.m / p.b).toFixed(2)} s)`;
+        terminalEl.textContent = text;
+    }
+    for (const el of [dragModelEl, bEl, cdEl, mEl, areaEl, rhoEl, gEl]) el.addEventListener('change', onDragInput);
+    presetEl.addEventListener('change', onDragInput);
+    onDragInput();
+    // Linear (b) and quadratic (k) drag factors at density rho (mirrors
+    // dragFactors in proj_worker.js).  Runs from before the drag model
+    // selector used quadratic drag.
+    function dragFactors(p) {
+        const model = p.dragModel || 'quadratic';
+        return {
+            b: model === 'linear' || model === 'combined' ? p.b : 0,
+            k: model === 'quadratic' || model === 'combined' ? 0.5 * p.cd * p.A * p.rho : 0
+        };
+    }
+    // Speed at which drag balances the weight in a vertical fall through
+    // still air of density rho: m·g = b·v + k·v² (Infinity when nothing
+    // balances it)
+    function terminalSpeed(p) {
+        const { b, k } = dragFactors(p);
+        const W = p.m * p.g;
+        if (k > 0) return (-b + Math.sqrt(b * b + 4 * k * W)) / (2 * k);
+        return b > 0 && W > 0 ? W / b : Infinity;
+    }
+    // The tolerance only applies to the adaptive integrator
+    function onMethodInput() {
+        tolRow.hidden = methodEl.value !== 'rk45';
+    }
+    methodEl.addEventListener('change', onMethodInput);
+    onMethodInput();
+    // Show only the inputs of the chosen wind profile and density model
+    function onAirInput() {
+        const profile = windProfileEl.value;
+        shearRow.hidden = profile !== 'shear';
+        for (const row of powerRows) row.hidden = profile !== 'power';
+        for (const row of gustRows) row.hidden = profile !== 'gusts';
+        scaleHeightRow.hidden = rhoModelEl.value !== 'exponential';
+    }
+    windProfileEl.addEventListener('change', onAirInput);
+    rhoModelEl.addEventListener('change', onAirInput);
+    onAirInput();
+    // Target challenge: the target is drawn from the form straight away;
+    // editing it drops the previous score line and solver output
+    function onTargetInput() {
+        for (const row of targetRows) row.hidden = !targetOnEl.checked;
+        if (!targetOnEl.checked) setPlacing(false);
+        targetResult = null;
+        solution = null;
+        targetVersion++;
+        transforms = null;
+        renderTargetInfo();
+        draw();
+    }
+    for (const el of [targetOnEl, targetXEl, targetYEl, targetREl]) el.addEventListener('change', onTargetInput);
+    solveModeEl.addEventListener('change', () => {
+        solution = null;
+        targetVersion++;
+        transforms = null;
+        renderTargetInfo();
+        draw();
+    });
+    function setPlacing(on) {
+        if (on) setDrawing(false);
+        placing = on;
+        placeBtn.textContent = on ? 'Click the canvas…' : 'Place on canvas';
+        canvas.style.cursor = on ? 'crosshair' : '';
+    }
+    placeBtn.addEventListener('click', () => setPlacing(!placing));
+    // Canvas pixel to world metres (inverse of sx/sy)
+    function toWorld(mx, my) {
+        const { pad, minX, maxX, minY, maxY, H, innerW, innerH } = getTransforms();
+        return {
+            x: minX + ((mx - pad.left) / innerW) * (maxX - minX),
+            y: minY + ((H - pad.bottom - my) / innerH) * (maxY - minY)
+        };
+    }
+    // Put the target where the canvas was clicked
+    function placeTarget(mx, my) {
+        const { x, y } = toWorld(mx, my);
+        targetXEl.value = +x.toFixed(2);
+        targetYEl.value = +y.toFixed(2);
+        setPlacing(false);
+        onTargetInput();
+    }
+    // Solve in a separate worker with the form's settings and target
+    solveBtn.addEventListener('click', () => {
+        if (solveWorker) solveWorker.terminate();
+        solveWorker = new Worker('proj_worker.js');
+        solveWorker.onmessage = (e) => {
+            const msg = e.data;
+            solveWorker.terminate();
+            solveWorker = null;
+            solveBtn.disabled = false;
+            if (msg.type === 'solveResult') {
+                solution = msg;
+                targetVersion++;
+                transforms = null;
+                renderTargetInfo();
+                draw();
+            } else if (msg.type === 'error') {
+                alert('Solver error: ' + msg.message);
+            }
+        };
+        solveBtn.disabled = true;
+        solveWorker.postMessage({ type: 'solve', params: readParams(), solve: { mode: solveModeEl.value } });
+    });
+    const SOLUTION_COLORS = ['#7fdbca', '#ff9e64'];
+    function solutionLabel(i, n) {
+        if (solution.mode === 'v0') return 'Minimum v₀';
+        return n > 1 ? (i === 0 ? 'Low arc' : 'High arc') : 'Only arc';
+    }
+    function renderTargetInfo() {
+        const on = targetOnEl.checked;
+        targetInfoEl.classList.toggle('hidden', !on);
+        if (!on) return;
+        let html = `<div class="row"><span class="k">Score</span><span>${score.hits} hit${score.hits === 1 ? '' : 's'} / ${score.attempts} attempt${score.attempts === 1 ? '' : 's'}</span></div>`;
+        if (targetResult) {
+            html += targetResult.hit
+                ? `<div class="row"><span class="k">Last run</span><span class="hit">Hit! ${targetResult.d.toFixed(2)} m from the centre at t = ${targetResult.t.toFixed(2)} s</span></div>`
+                : `<div class="row"><span class="k">Last run</span><span class="miss">Missed by ${targetResult.d.toFixed(2)} m (closest at t = ${targetResult.t.toFixed(2)} s)</span></div>`;
+        }
+        if (solution) {
+            if (!solution.solutions.length) {
+                html += `<div class="row"><span class="k">Solver</span><span>${solution.mode === 'v0'
+                    ? 'No launch speed up to 2048 m/s reaches the target at this angle'
+                    : 'No launch angle reaches the target at this speed'}</span></div>`;
+            }
+            solution.solutions.forEach((s, i) => {
+                const value = solution.mode === 'v0' ? `${s.v0.toFixed(2)} m/s at ${s.angleDeg}°` : `${s.angleDeg.toFixed(2)}° at ${s.v0} m/s`;
+                html += `<div class="row"><span class="k" style="color:${SOLUTION_COLORS[i]}">${solutionLabel(i, solution.solutions.length)}</span>` +
+                    `<span>${value} <button type="button" class="secondary small" data-solution="${i}">Use</button></span></div>`;
+            });
+        }
+        targetInfoEl.innerHTML = html;
+    }
+    targetInfoEl.addEventListener('click', (e) => {
+        const i = e.target.dataset.solution;
+        if (i === undefined || !solution) return;
+        const s = solution.solutions[+i];
+        angleEl.value = +s.angleDeg.toFixed(3);
+        v0El.value = +s.v0.toFixed(3);
+    });
+    onTargetInput();
+    // Restitution and friction only matter in bounce mode
+    function onBounceInput() {
+        eRow.hidden = muRow.hidden = !bounceEl.checked;
+    }
+    bounceEl.addEventListener('change', onBounceInput);
+    onBounceInput();
+
+    // Obstacles: the form adds one at a time and the list removes them.
+    // Show only the size inputs of the chosen kind.
+    const OBSTACLE_NAMES = { wall: 'Wall', net: 'Net', hoop: 'Hoop' };
+    function onObstacleInput() {
+        const kind = obsKindEl.value;
+        obsWRow.hidden = kind !== 'wall';
+        obsHRow.hidden = kind === 'hoop';
+        obsRRow.hidden = kind !== 'hoop';
+        obsERow.hidden = obsModeEl.value !== 'bounce';
+    }
+    obsKindEl.addEventListener('change', onObstacleInput);
+    obsModeEl.addEventListener('change', onObstacleInput);
+    onObstacleInput();
+    // Vector overlays redraw straight away
+    function onVectorInput() {
+        crumbDtRow.hidden = !showCrumbsEl.checked;
+        draw();
+    }
+    for (const el of [showVelEl, showAccEl, showForcesEl, showCrumbsEl, crumbDtEl]) el.addEventListener('change', onVectorInput);
+    crumbDtRow.hidden = !showCrumbsEl.checked;
+    // Obstacle of the chosen kind from the form's values
+    function readObstacle() {
+        const kind = obsKindEl.value;
+        const o = { kind, x: num(obsXEl, 30), y: num(obsYEl, 0) };
+        if (kind === 'wall') o.w = Math.max(0.01, num(obsWEl, 1));
+        if (kind !== 'hoop') o.h = Math.max(0.01, num(obsHEl, 5));
+        else o.r = Math.max(0.01, num(obsREl, 0.225));
+        return o;
+    }
+    function addObstacle(o) {
+        if (obstacles.length >= 20) {
+            alert('At most 20 obstacles can be placed.');
+            return;
+        }
+        obstacles.push(o);
+        obstaclesChanged();
+    }
+    function obstaclesChanged() {
+        transforms = null;
+        renderObstacles();
+        draw();
+    }
+    obsAddBtn.addEventListener('click', () => addObstacle(readObstacle()));
+    // Obstacles from an imported run with every field checked: a known
+    // kind, a finite position and positive sizes, at most 20 (mirrors
+    // sanitizeObstacles in proj_worker.js)
+    function sanitizeObstacles(list) {
+        const size = (v, fallback) => (Number.isFinite(+v) && +v > 0 ? +v : fallback);
+        const out = [];
+        for (const o of list) {
+            if (!o || !Number.isFinite(+o.x) || !Number.isFinite(+o.y)) continue;
+            if (o.kind === 'wall') out.push({ kind: 'wall', x: +o.x, y: +o.y, w: size(o.w, 1), h: size(o.h, 3) });
+            else if (o.kind === 'net') out.push({ kind: 'net', x: +o.x, y: +o.y, h: size(o.h, 1) });
+            else if (o.kind === 'hoop') out.push({ kind: 'hoop', x: +o.x, y: +o.y, r: size(o.r, 0.225) });
+        }
+        return out.slice(0, 20);
+    }
+    function describeObstacle(o) {
+        if (o.kind === 'wall') return `Wall at x ${o.x} m, ${o.w} m wide, ${o.h} m high from y ${o.y} m`;
+        if (o.kind === 'net') return `Net at x ${o.x} m, ${o.h} m high from y ${o.y} m`;
+        return `Hoop at (${o.x}, ${o.y}) m, ring radius ${o.r} m`;
+    }
+    function renderObstacles() {
+        obsListEl.innerHTML = obstacles.map((o, i) => `
+            <div class="row">
+                <span>${i + 1}. ${describeObstacle(o)}</span>
+                <button type="button" class="secondary small" data-remove="${i}" aria-label="Remove obstacle ${i + 1}">✕</button>
+            </div>
+        `).join('');
+    }
+    obsListEl.addEventListener('click', (e) => {
+        const i = e.target.dataset.remove;
+        if (i === undefined) return;
+        obstacles.splice(+i, 1);
+        obstaclesChanged();
+    });
+    function setDrawing(on) {
+        if (on) setPlacing(false);
+        drawingObstacle = on;
+        obsDrawBtn.textContent = on ? 'Drag on the canvas…' : 'Draw on canvas';
+        canvas.style.cursor = on ? 'crosshair' : '';
+    }
+    obsDrawBtn.addEventListener('click', () => setDrawing(!drawingObstacle));
+    // Contacts of the current run, and whether it got past every obstacle
+    const CONTACT_TEXT = { bounce: 'Bounced off', stop: 'Stopped by', rest: 'Came to rest on', through: 'Dropped through' };
+    function renderObstacleInfo() {
+        const n = (simParams.obstacles || []).length;
+        obstacleInfoEl.classList.toggle('hidden', !n || !points.length);
+        if (!n || !points.length) return;
+        let html = obstacleEvents.map(e => {
+            const speeds = e.action === 'bounce' ? ` · ${e.vIn.toFixed(2)} → ${e.vOut.toFixed(2)} m/s` : '';
+            return `<div class="row"><span class="k">t = ${e.t.toFixed(2)} s</span>` +
+                `<span class="${e.action === 'through' ? 'hit' : 'miss'}">${CONTACT_TEXT[e.action]} ${OBSTACLE_NAMES[e.kind].toLowerCase()} ${e.index + 1}` +
+                ` at (${e.x.toFixed(2)}, ${e.y.toFixed(2)}) m${speeds}</span></div>`;
+        }).join('');
+        if (!running && !obstacleEvents.some(e => e.action !== 'through')) {
+            html += `<div class="row"><span class="k">Obstacles</span><span class="hit">No contact with any of them</span></div>`;
+        }
+        obstacleInfoEl.innerHTML = html;
+    }
+
+    // Bounce list: one row per impact with the kinetic energy it removed
+    function renderBounces() {
+        bouncesEl.classList.toggle('hidden', bounces.length === 0);
+        bounceBody.innerHTML = bounces.map(b => {
+            const keIn = 0.5 * simParams.m * b.vIn * b.vIn;
+            const pct = keIn > 0 ? ` (${((100 * b.loss) / keIn).toFixed(0)}%)` : '';
+            return `
+            <tr>
+                <td>${b.n}</td>
+                <td>${b.t.toFixed(3)} s</td>
+                <td>(${b.x.toFixed(2)}, ${b.y.toFixed(2)}) m</td>
+                <td>${b.vIn.toFixed(2)} → ${b.vOut.toFixed(2)} m/s</td>
+                <td>${b.loss.toFixed(2)} J${pct}${b.settles ? ' · settles' : ''}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    // Event log: one row per key moment; clicking a row shows that instant
+    const EVENT_COLORS = { apex: '#f7e26b', landing: '#6fff9f', bounce: '#8a93b8', collision: '#ff6b8b', crossing: '#82aaff' };
+    function describeEvent(e) {
+        if (e.type === 'apex') return 'Apex';
+        if (e.type === 'landing') return 'Landing';
+        if (e.type === 'bounce') return `Bounce ${e.n}`;
+        if (e.type === 'collision') return `Hit ${OBSTACLE_NAMES[e.obstacle].toLowerCase()} ${e.index + 1}`;
+        return `Crossed ${e.axis} = ${e.value} m`;
+    }
+    function renderEvents() {
+        eventsEl.classList.toggle('hidden', events.length === 0);
+        eventBody.innerHTML = events.map((e, i) => `
+            <tr data-event="${i}" title="Show this moment">
+                <td>${e.t.toFixed(3)} s</td>
+                <td><span class="swatch" style="background:${EVENT_COLORS[e.type]}"></span>${describeEvent(e)}</td>
+                <td>(${e.x.toFixed(2)}, ${e.y.toFixed(2)}) m</td>
+                <td>(${e.vx.toFixed(2)}, ${e.vy.toFixed(2)}) m/s</td>
+            </tr>`).join('');
+    }
+    eventBody.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-event]');
+        if (!row || !replayReady()) return;
+        stopReplay();
+        showFrame(indexAt(events[+row.dataset.event].t));
+    });
+    // Event lines show on the plot straight away
+    function onLinesInput() {
+        if (running) return;
+        simParams = { ...simParams, lines: readLines() };
+        draw();
+    }
+    for (const el of [linesXEl, linesYEl]) el.addEventListener('change', onLinesInput);
+
+    // Run history: store the finished run with its parameters and summary
+    function archiveRun() {
+        if (points.length < 2) return;
+        const last = points[points.length - 1];
+        // A loop rather than Math.max(...): small-dt runs have too many
+        // points to pass as arguments
+        let apex = -Infinity;
+        for (const p of points) if (p.y > apex) apex = p.y;
+        // Range and flight time run to the first landing, as in the readout;
+        // in bounce mode the last point is where the ball stopped or maxT hit
+        const landing = events.find(e => e.type === 'landing') ||
+            (bounces.length ? bounces[0] : Math.abs(last.y - groundY(last.x)) < 1e-6 ? last : null);
+        const summary = {
+            range: landing ? landing.x : last.x,
+            apex,
+            time: landing ? landing.t : last.t,
+            landed: !!landing,
+            drift: totalEnergy(last) - totalEnergy(points[0]),
+            steps: diag ? diag.steps : null
+        };
+        const id = nextRunId++;
+        runs.push({
+            id,
+            color: RUN_COLORS[(id - 1) % RUN_COLORS.length],
+            params: { ...simParams },
+            points,
+            summary,
+            visible: true
+        });
+        if (runs.length > MAX_RUNS) runs.shift();
+        activeRunId = id;
+        runsChanged();
+    }
+    function runsChanged() {
+        runsVersion++;
+        transforms = null;
+        renderRuns();
+        draw();
+    }
+    function describeParams(p) {
+        const model = p.dragModel || 'quadratic';
+        const drag = model === 'none' ? 'no drag' :
+            [model !== 'quadratic' && `b ${p.b} kg/s`, model !== 'linear' && `Cᵈ ${p.cd}`].filter(Boolean).join(' · ');
+        let s = `v₀ ${p.v0} m/s · ${p.angleDeg}° · ${drag} · wind ${p.wind} m/s · g ${p.g}`;
+        if (p.windProfile && p.windProfile !== 'constant') s += ` · ${WIND_NAMES[p.windProfile]}`;
+        if (p.windVy) s += ` · updraft ${p.windVy} m/s`;
+        if (p.rhoModel === 'exponential') s += ` · ρ(y) H ${p.scaleHeight} m`;
+        if (p.h0 > 0) s += ` · h₀ ${p.h0} m`;
+        if (p.spin) s += ` · spin ${p.spin} rpm C_L ${p.cl}`;
+        if (p.bounce) s += ` · bounce e ${p.e} μ ${p.mu}`;
+        if (p.obstacles && p.obstacles.length) {
+            s += ` · ${p.obstacles.length} obstacle${p.obstacles.length === 1 ? '' : 's'}` +
+                (p.obstacleMode === 'stop' ? ' (stop)' : ` e ${p.obstacleE}`);
+        }
+        if (p.method) s += ` · ${METHOD_NAMES[p.method] || p.method} dt ${p.dt} s`;
+        return s;
+    }
+    function renderRuns() {
+        runsEl.classList.toggle('hidden', runs.length === 0);
+        runsBody.innerHTML = runs.map(r => `
+            <tr data-id="${r.id}" class="${r.visible ? '' : 'off'}">
+                <td><input type="checkbox" data-action="toggle" ${r.visible ? 'checked' : ''} aria-label="Show run ${r.id}" /><span class="swatch" style="background:${r.color}"></span></td>
+                <td>Run ${r.id}</td>
+                <td>${describeParams(r.params)}</td>
+                <td>${r.summary.range.toFixed(2)} m${r.summary.landed ? '' : ' (in flight)'}</td>
+                <td>${r.summary.apex.toFixed(2)} m</td>
+                <td>${r.summary.time.toFixed(2)} s</td>
+                <td>${formatDrift(r.summary.drift)}${r.summary.steps !== null ? ` · ${r.summary.steps} steps` : ''}</td>
+                <td><button type="button" class="secondary small" data-action="delete" aria-label="Delete run ${r.id}">✕</button></td>
+            </tr>
+        `).join('');
+    }
+    runsBody.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        const row = e.target.closest('tr');
+        if (!action || !row) return;
+        const id = +row.dataset.id;
+        if (action === 'toggle') {
+            const run = runs.find(r => r.id === id);
+            if (run) run.visible = e.target.checked;
+        } else if (action === 'delete') {
+            runs = runs.filter(r => r.id !== id);
+            // The current points are drawn on their own again
+            if (id === activeRunId) activeRunId = null;
+        }
+        runsChanged();
+    });
+    clearRunsBtn.addEventListener('click', () => {
+        runs = [];
+        activeRunId = null;
+        runsChanged();
+    });
+    showRefEl.addEventListener('change', () => draw());
+
+    // The reference is the exact solution with linear drag alone; other
+    // drag models compare against the no-drag parabola
+    function linearReference() {
+        return simParams.dragModel === 'linear' && simParams.b > 0;
+    }
+    // Closed-form position at time t for the current run's launch: the
+    // no-drag parabola, or with linear drag the exponential approach to
+    // the wind velocity minus the terminal fall speed g·τ, τ = m/b
+    function analyticAt(t) {
+        const th = (simParams.angleDeg * Math.PI) / 180;
+        const y0 = groundY(0) + simParams.h0;
+        const vx0 = simParams.v0 * Math.cos(th), vy0 = simParams.v0 * Math.sin(th);
+        if (linearReference()) {
+            const tau = simParams.m / simParams.b, vt = simParams.g * tau;
+            const wx = simParams.wind || 0, wy = simParams.windVy || 0;
+            const f = tau * (1 - Math.exp(-t / tau));
+            return { x: wx * t + (vx0 - wx) * f, y: y0 + (wy - vt) * t + (vy0 - wy + vt) * f };
+        }
+        return { x: vx0 * t, y: y0 + vy0 * t - 0.5 * simParams.g * t * t };
+    }
+    // Time at which the reference path peaks (unbounded when it never does)
+    function analyticApexTime() {
+        const vy0 = simParams.v0 * Math.sin((simParams.angleDeg * Math.PI) / 180);
+        if (vy0 <= 0) return 0;
+        if (linearReference()) {
+            const tau = simParams.m / simParams.b, vt = simParams.g * tau, wy = simParams.windVy || 0;
+            return vt > wy ? tau * Math.log((vy0 - wy + vt) / (vt - wy)) : Infinity;
+        }
+        return simParams.g > 0 ? vy0 / simParams.g : Infinity;
+    }
+    // Build the reference path up to where it meets the ground line.  The
+    // landing time is bracketed on a coarse time grid and refined by
+    // bisection so that sloped and profiled ground work the same way.
+    function getReference() {
+        if (reference && reference.forParams === simParams) return reference;
+        const maxT = simParams.maxT || 20, dt = 0.01;
+        const above = (t) => { const q = analyticAt(t); return q.y - groundY(q.x); };
+        let tLand = null;
+        for (let t = dt; t <= maxT + 1e-9; t += dt) {
+            if (above(t) < 0) {
+                let lo = t - dt, hi = t;
+                for (let i = 0; i < 60; i++) {
+                    const mid = 0.5 * (lo + hi);
+                    if (above(mid) < 0) hi = mid; else lo = mid;
+                }
+                tLand = 0.5 * (lo + hi);
+                break;
+            }
+        }
+        const tEnd = tLand ?? maxT;
+        const pts = [];
+        const n = 200;
+        for (let i = 0; i <= n; i++) pts.push(analyticAt((tEnd * i) / n));
+        // Highest point: the vertex if it is reached before landing, else the launch
+        const tApex = Math.min(tEnd, analyticApexTime());
+        const end = analyticAt(tEnd);
+        reference = {
+            forParams: simParams,
+            points: pts,
+            range: end.x,
+            apex: analyticAt(tApex).y,
+            time: tEnd,
+            landed: tLand !== null
+        };
+        return reference;
+    }
+    function drawReference() {
+        const { sx, sy } = getTransforms();
+        const ref = getReference();
+        ctx.save();
+        ctx.setLineDash([4, 6]);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#e8ecf3aa';
+        ctx.beginPath();
+        ctx.moveTo(sx(ref.points[0].x), sy(ref.points[0].y));
+        for (const p of ref.points) ctx.lineTo(sx(p.x), sy(p.y));
+        ctx.stroke();
+        ctx.restore();
+    }
+    // Simulated vs theoretical range, apex and flight time, plus the live
+    // distance between the simulated and analytic positions at the same t
+    function updateReadout() {
+        compareEl.classList.toggle('hidden', !showRefEl.checked || !points.length);
+        if (!showRefEl.checked || !points.length) return;
+        const ref = getReference();
+        refHeadEl.textContent = linearReference() ? 'Linear-drag theory' : 'No-drag theory';
+        const last = points[points.length - 1];
+        const landed = !running && Math.abs(last.y - groundY(last.x)) < 1e-6;
+        // In bounce mode the theory covers the flight up to the first impact
+        const first = bounces.length ? bounces[0] : landed ? last : null;
+        let apex = -Infinity;
+        for (const p of points) if (p.y > apex && (!first || p.t <= first.t)) apex = p.y;
+        simRangeEl.textContent = first ? `${first.x.toFixed(3)} m` : '–';
+        simApexEl.textContent = `${apex.toFixed(3)} m`;
+        simTimeEl.textContent = first ? `${first.t.toFixed(3)} s` : '–';
+        refRangeEl.textContent = ref.landed ? `${ref.range.toFixed(3)} m` : '–';
+        refApexEl.textContent = `${ref.apex.toFixed(3)} m`;
+        refTimeEl.textContent = ref.landed ? `${ref.time.toFixed(3)} s` : '–';
+        const s = shownState();
+        const q = analyticAt(s.t);
+        const err = Math.hypot(s.x - q.x, s.y - q.y);
+        const y0 = groundY(0) + simParams.h0;
+        const disp = Math.hypot(q.x, q.y - y0);
+        const rel = disp > 0 ? err / disp : 0;
+        refErrorEl.textContent = `${s.t.toFixed(2)} s: |Δr| = ${err.toExponential(2)} m, relative ${rel.toExponential(2)}`;
+    }
     speedEl.addEventListener('change', () => {
         if (worker) worker.postMessage({ type: 'setSpeed', speed: readSpeed() });
     });
+    // Sweep mode: run the current settings headless in a separate worker
+    // for each value of the chosen parameter, then chart the results
+    const SWEEP_DEFAULTS = {
+        angleDeg: { from: 0, to: 90, step: 1 },
+        v0: { from: 5, to: 60, step: 1 }
+    };
+    sweepVarEl.addEventListener('change', () => {
+        const d = SWEEP_DEFAULTS[sweepVarEl.value];
+        sweepFromEl.value = d.from;
+        sweepToEl.value = d.to;
+        sweepStepEl.value = d.step;
+    });
+    sweepBtn.addEventListener('click', () => {
+        if (sweepWorker) sweepWorker.terminate();
+        sweepWorker = new Worker('proj_worker.js');
+        sweepWorker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === 'sweepResult') {
+                sweepData = { ...msg, best: bestRange(msg.results) };
+                sweepWorker.terminate();
+                sweepWorker = null;
+                sweepBtn.disabled = false;
+                drawSweep();
+            } else if (msg.type === 'error') {
+                sweepBtn.disabled = false;
+                alert('Worker error: ' + msg.message);
+            }
+        };
+        sweepBtn.disabled = true;
+        const d = SWEEP_DEFAULTS[sweepVarEl.value];
+        sweepWorker.postMessage({
+            type: 'sweep',
+            params: readParams(),
+            sweep: {
+                variable: sweepVarEl.value,
+                from: num(sweepFromEl, d.from),
+                to: num(sweepToEl, d.to),
+                step: num(sweepStepEl, d.step)
+            }
+        });
+    });
+    // Largest sampled range, refined by fitting a parabola through the
+    // best sample and its two neighbours
+    function bestRange(results) {
+        if (!results.length) return null;
+        let i = 0;
+        for (let j = 1; j < results.length; j++) if (results[j].range > results[i].range) i = j;
+        const best = { value: results[i].value, range: results[i].range, apex: results[i].apex, time: results[i].time };
+        if (i > 0 && i < results.length - 1) {
+            const r0 = results[i - 1].range, r1 = results[i].range, r2 = results[i + 1].range;
+            const h = results[i + 1].value - results[i].value;
+            const curv = r0 - 2 * r1 + r2;
+            if (curv < 0) {
+                best.value += (h * (r0 - r2)) / (2 * curv);
+                best.range = r1 - ((r0 - r2) * (r0 - r2)) / (8 * curv);
+            }
+        }
+        return best;
+    }
+    function drawSweep() {
+        const c = sweepCtx;
+        const W = sweepCanvas.clientWidth, H = sweepCanvas.clientHeight;
+        c.clearRect(0, 0, W, H);
+        const pad = { top: 16, right: 16, bottom: 44, left: 56 };
+        const left = pad.left, right = W - pad.right, top = pad.top, bottom = H - pad.bottom;
+        const isAngle = !sweepData || sweepData.variable === 'angleDeg';
+        const res = sweepData ? sweepData.results : [];
+        const minX = res.length ? res[0].value : 0;
+        const maxX = res.length > 1 ? res[res.length - 1].value : minX + (isAngle ? 90 : 60);
+        // A landing behind the launch point gives a negative range and a
+        // launch below y = 0 a negative apex, so the axis reaches down to them.
+        let minY = 0, maxY = 1;
+        for (const r of res) {
+            minY = Math.min(minY, r.range, r.apex);
+            maxY = Math.max(maxY, r.range, r.apex);
+        }
+        const sx = (x) => left + ((x - minX) / (maxX - minX)) * (right - left);
+        const sy = (y) => bottom - ((y - minY) / (maxY - minY)) * (bottom - top);
+        // Grid with numbered ticks
+        const stepX = niceStep(maxX - minX, 8), stepY = niceStep(maxY - minY, 6);
+        const decX = tickDecimals(stepX), decY = tickDecimals(stepY);
+        c.save();
+        c.strokeStyle = '#1c274f';
+        c.lineWidth = 1;
+        c.beginPath();
+        for (let x = firstTick(minX, stepX); x <= maxX + 1e-9; x += stepX) { c.moveTo(sx(x), top); c.lineTo(sx(x), bottom); }
+        for (let y = firstTick(minY, stepY); y <= maxY + 1e-9; y += stepY) { c.moveTo(left, sy(y)); c.lineTo(right, sy(y)); }
+        c.stroke();
+        c.strokeStyle = '#2a355f';
+        c.beginPath();
+        c.moveTo(left, top); c.lineTo(left, bottom); c.lineTo(right, bottom);
+        c.stroke();
+        c.fillStyle = '#9aa3b2';
+        c.textAlign = 'center';
+        c.textBaseline = 'top';
+        for (let x = firstTick(minX, stepX); x <= maxX + 1e-9; x += stepX) c.fillText(x.toFixed(decX), sx(x), bottom + 8);
+        c.fillText(isAngle ? 'launch angle (°)' : 'v₀ (m/s)', (left + right) / 2, bottom + 26);
+        c.textAlign = 'right';
+        c.textBaseline = 'middle';
+        for (let y = firstTick(minY, stepY); y <= maxY + 1e-9; y += stepY) c.fillText(y.toFixed(decY), left - 8, sy(y));
+        c.save();
+        c.translate(left - 40, (top + bottom) / 2);
+        c.rotate(-Math.PI / 2);
+        c.textAlign = 'center';
+        c.fillText('m', 0, 0);
+        c.restore();
+        c.restore();
+        if (!res.length) {
+            c.save();
+            c.fillStyle = '#9aa3b2';
+            c.textAlign = 'center';
+            c.fillText('Run a sweep to chart range and apex.', (left + right) / 2, (top + bottom) / 2);
+            c.restore();
+            sweepInfoEl.classList.add('hidden');
+            return;
+        }
+        // Range and apex curves
+        const series = [['range', '#6fff9f', 'Range'], ['apex', '#5ec2ff', 'Apex height']];
+        c.save();
+        c.lineWidth = 2;
+        for (const [key, color] of series) {
+            c.strokeStyle = color;
+            c.beginPath();
+            res.forEach((r, i) => (i ? c.lineTo(sx(r.value), sy(r[key])) : c.moveTo(sx(r.value), sy(r[key]))));
+            c.stroke();
+        }
+        // Legend
+        c.textAlign = 'left';
+        c.textBaseline = 'middle';
+        series.forEach(([, color, label], i) => {
+            c.fillStyle = color;
+            c.fillRect(left + 10, top + 10 + i * 16, 14, 3);
+            c.fillStyle = '#e8ecf3';
+            c.fillText(label, left + 30, top + 11 + i * 16);
+        });
+        c.restore();
+        // Maximum-range marker
+        const best = sweepData.best;
+        const unit = isAngle ? '°' : ' m/s';
+        c.save();
+        c.setLineDash([5, 5]);
+        c.strokeStyle = '#ffb86b';
+        c.lineWidth = 1.5;
+        c.beginPath(); c.moveTo(sx(best.value), top); c.lineTo(sx(best.value), bottom); c.stroke();
+        c.restore();
+        dot(c, sx(best.value), sy(best.range), 5, '#ffb86b');
+        c.save();
+        c.fillStyle = '#ffb86b';
+        c.textAlign = sx(best.value) > (left + right) / 2 ? 'right' : 'left';
+        c.textBaseline = 'bottom';
+        c.fillText(`max ${best.range.toFixed(2)} m at ${best.value.toFixed(isAngle ? 1 : 2)}${unit}`,
+            sx(best.value) + (c.textAlign === 'left' ? 8 : -8), sy(best.range) - 6);
+        c.restore();
+        const unlanded = res.filter(r => !r.landed).length;
+        sweepInfoEl.classList.remove('hidden');
+        sweepInfoEl.textContent = `Maximum range ${best.range.toFixed(2)} m at ${isAngle ? 'θ' : 'v₀'} = ${best.value.toFixed(isAngle ? 1 : 2)}${unit} ` +
+            `(nearest sample: apex ${best.apex.toFixed(2)} m, flight ${best.time.toFixed(2)} s).` +
+            (unlanded ? ` ${unlanded} run(s) were still airborne at the time limit.` : '');
+    }
+
+    // Time-series graphs.  Each entry lists the curves drawn on one canvas;
+    // values are derived from the streamed points and the run's parameters.
+    const GRAPHS = {
+        x: { title: 'x (m)', series: [{ label: 'x', color: '#6fff9f', get: p => p.x }] },
+        y: { title: 'y (m)', series: [{ label: 'y', color: '#6fff9f', get: p => p.y }] },
+        vx: { title: 'vₓ (m/s)', series: [{ label: 'vₓ', color: '#5ec2ff', get: p => p.vx }] },
+        vy: { title: 'vᵧ (m/s)', series: [{ label: 'vᵧ', color: '#5ec2ff', get: p => p.vy }] },
+        v: {
+            title: '|v| (m/s)',
+            series: [{ label: '|v|', color: '#5ec2ff', get: p => p.v }],
+            line: { label: 'v_t', get: () => terminalSpeed(simParams) }
+        },
+        energy: {
+            title: 'Energy (J)',
+            series: [
+                { label: 'KE', color: '#ffb86b', get: p => kineticEnergy(p) },
+                { label: 'PE', color: '#c792ea', get: p => potentialEnergy(p) },
+                { label: 'W_drag', color: '#ff6b8b', get: p => p.wDrag },
+                { label: 'W_ground', color: '#8a93b8', get: p => p.wGround || 0 },
+                { label: 'Total', color: '#e8ecf3', get: p => totalEnergy(p) }
+            ]
+        },
+        drag: { title: 'Drag force (N)', series: [{ label: '|F_d|', color: '#ff6b8b', get: p => dragForce(p) }] }
+    };
+    // Whether a run can lose energy in impacts (W_ground): ground bounces
+    // or rebounds off obstacles
+    function hasImpacts(p) {
+        return !!p.bounce || (p.obstacleMode === 'bounce' && !!p.obstacles && p.obstacles.length > 0);
+    }
+    function kineticEnergy(p) { return 0.5 * simParams.m * p.v * p.v; }
+    // Potential energy measured from y = 0
+    function potentialEnergy(p) { return simParams.m * simParams.g * p.y; }
+    // KE + PE + energy handed to the air and lost to the ground; constant
+    // up to integration error
+    function totalEnergy(p) { return kineticEnergy(p) + potentialEnergy(p) + p.wDrag + (p.wGround || 0); }
+    // Magnitude of the drag force as streamed by the worker; older exports
+    // without it fall back to a constant wind and density
+    function dragForce(p) {
+        if (Number.isFinite(p.fDrag)) return p.fDrag;
+        const { b, k } = dragFactors(simParams);
+        const vrel = Math.hypot(p.vx - simParams.wind, p.vy);
+        return (b + k * vrel) * vrel;
+    }
+    // Index of the last point at or before time t (points are in time order)
+    function indexAt(t) {
+        let lo = 0, hi = points.length - 1;
+        if (hi <= 0 || t >= points[hi].t) return Math.max(0, hi);
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (points[mid].t <= t) lo = mid; else hi = mid;
+        }
+        return lo;
+    }
+    // Linearly interpolated point at time t, or null outside the run
+    function sampleAt(t) {
+        if (!points.length || t < points[0].t || t > points[points.length - 1].t) return null;
+        const lo = indexAt(t), hi = Math.min(points.length - 1, lo + 1);
+        const a = points[lo], b = points[hi];
+        const f = b.t > a.t ? (t - a.t) / (b.t - a.t) : 0;
+        const q = {};
+        for (const k of ['x', 'y', 't', 'vx', 'vy', 'v', 'wDrag']) q[k] = a[k] + f * (b[k] - a[k]);
+        q.wGround = (a.wGround || 0) + f * ((b.wGround || 0) - (a.wGround || 0));
+        return q;
+    }
+    // Coalesce graph redraws to one per animation frame
+    function scheduleGraphs() {
+        if (graphsQueued) return;
+        graphsQueued = true;
+        requestAnimationFrame(() => {
+            graphsQueued = false;
+            drawGraphs();
+        });
+    }
+    function drawGraphs() {
+        const tMax = points.length ? Math.max(1, points[points.length - 1].t) : 1;
+        for (const cv of graphCanvases) drawGraph(cv, GRAPHS[cv.dataset.graph], tMax);
+    }
+    function drawGraph(cv, spec, tMax) {
+        const c = cv.getContext('2d');
+        const W = cv.clientWidth, H = cv.clientHeight;
+        c.clearRect(0, 0, W, H);
+        const { left, right, top, bottom } = graphFrame(W, H);
+        // Value range over all curves, always including zero
+        let lo = 0, hi = 0;
+        for (const p of points) {
+            for (const sr of spec.series) {
+                const v = sr.get(p);
+                if (v < lo) lo = v;
+                if (v > hi) hi = v;
+            }
+        }
+        // Optional horizontal reference line, such as the terminal speed
+        const line = spec.line && points.length ? spec.line.get() : NaN;
+        if (Number.isFinite(line)) {
+            lo = Math.min(lo, line);
+            hi = Math.max(hi, line);
+        }
+        if (hi - lo < 1e-9) hi = lo + 1;
+        const sx = (t) => left + (t / tMax) * (right - left);
+        const sy = (v) => bottom - ((v - lo) / (hi - lo)) * (bottom - top);
+        c.save();
+        c.font = '11px system-ui, sans-serif';
+        // Frame, zero line and axis labels
+        c.strokeStyle = '#2a355f';
+        c.lineWidth = 1;
+        c.beginPath();
+        c.moveTo(left, top); c.lineTo(left, bottom); c.lineTo(right, bottom);
+        c.moveTo(left, sy(0)); c.lineTo(right, sy(0));
+        c.stroke();
+        c.fillStyle = '#9aa3b2';
+        c.textAlign = 'right';
+        c.textBaseline = 'middle';
+        c.fillText(formatValue(hi), left - 4, top);
+        c.fillText(formatValue(lo), left - 4, bottom);
+        c.textAlign = 'left';
+        c.textBaseline = 'top';
+        c.fillText(spec.title, left + 4, 2);
+        c.textAlign = 'right';
+        c.fillText(`${tMax.toFixed(1)} s`, right, bottom + 4);
+        if (Number.isFinite(line)) {
+            c.save();
+            c.setLineDash([4, 4]);
+            c.strokeStyle = '#e8ecf3aa';
+            c.beginPath();
+            c.moveTo(left, sy(line));
+            c.lineTo(right, sy(line));
+            c.stroke();
+            c.restore();
+            c.fillStyle = '#e8ecf3aa';
+            c.textAlign = 'left';
+            c.textBaseline = 'bottom';
+            c.fillText(`${spec.line.label} ${formatValue(line)}`, left + 4, sy(line) - 2);
+        }
+        // Curves
+        c.lineWidth = 1.5;
+        for (const sr of spec.series) {
+            if (points.length < 2) break;
+            c.strokeStyle = sr.color;
+            c.beginPath();
+            c.moveTo(sx(points[0].t), sy(sr.get(points[0])));
+            for (const p of points) c.lineTo(sx(p.t), sy(sr.get(p)));
+            c.stroke();
+        }
+        // Legend for multi-curve graphs
+        if (spec.series.length > 1) {
+            c.textAlign = 'right';
+            let x = right;
+            for (const sr of spec.series.slice().reverse()) {
+                c.fillStyle = sr.color;
+                c.fillText(sr.label, x, 2);
+                x -= c.measureText(sr.label).width + 10;
+            }
+        }
+        // Synced cursor with the value at that instant (hover, else replay position)
+        const tCursor = cursorT !== null ? cursorT : viewIndex !== null ? shownState().t : null;
+        const q = tCursor !== null ? sampleAt(tCursor) : null;
+        if (q) {
+            const X = sx(q.t);
+            c.strokeStyle = '#e8ecf388';
+            c.beginPath(); c.moveTo(X, top); c.lineTo(X, bottom); c.stroke();
+            const onLeft = X > (left + right) / 2;
+            c.textAlign = onLeft ? 'right' : 'left';
+            c.textBaseline = 'top';
+            spec.series.forEach((sr, i) => {
+                c.fillStyle = sr.color;
+                c.fillText(`${sr.label} ${formatValue(sr.get(q))}`, X + (onLeft ? -4 : 4), top + 2 + i * 12);
+            });
+        }
+        c.restore();
+    }
+    // Plot area inside a graph canvas of W × H CSS pixels
+    function graphFrame(W, H) {
+        return { left: 44, right: W - 10, top: 18, bottom: H - 18 };
+    }
+    function formatValue(v) {
+        const a = Math.abs(v);
+        return a !== 0 && (a < 0.01 || a >= 1e4) ? v.toExponential(1) : v.toFixed(a < 10 ? 2 : 1);
+    }
+    // Hovering a graph sets the shared cursor time for every graph and the trajectory
+    for (const cv of graphCanvases) {
+        cv.addEventListener('pointermove', (e) => {
+            if (!points.length) return;
+            const rect = cv.getBoundingClientRect();
+            const { left, right } = graphFrame(rect.width, rect.height);
+            const tEnd = points[points.length - 1].t;
+            const f = Math.min(1, Math.max(0, (e.clientX - rect.left - left) / (right - left)));
+            cursorT = Math.min(tEnd, f * Math.max(1, tEnd));
+            draw();
+        });
+        cv.addEventListener('pointerleave', () => {
+            cursorT = null;
+            draw();
+        });
+    }
+    function drawCursor() {
+        const q = cursorT !== null ? sampleAt(cursorT) : null;
+        if (!q) return;
+        const { sx, sy } = getTransforms();
+        ctx.save();
+        ctx.strokeStyle = '#e8ecf3';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(sx(q.x), sy(q.y), 8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = '#e8ecf3';
+        ctx.font = '12px system-ui, sans-serif';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`t = ${q.t.toFixed(2)} s`, sx(q.x) + 10, sy(q.y) - 8);
+        ctx.restore();
+    }
+
+    // Stacked bar of KE, PE, W_drag and W_ground for the current state.
+    // Segments are scaled to the launch energy; a negative part (PE below y = 0, or wind
+    // adding energy) is listed in the text but cannot be drawn as a segment.
+    function updateEnergyBar() {
+        energyEl.classList.toggle('hidden', !points.length);
+        if (!points.length) return;
+        const s = shownState();
+        const KE = kineticEnergy(s), PE = potentialEnergy(s), W = s.wDrag, G = s.wGround || 0;
+        const E0 = totalEnergy(points[0]);
+        const scale = Math.max(E0, Math.max(0, KE) + Math.max(0, PE) + Math.max(0, W) + G, 1e-12);
+        segKEEl.style.width = `${(100 * Math.max(0, KE)) / scale}%`;
+        segPEEl.style.width = `${(100 * Math.max(0, PE)) / scale}%`;
+        segWEl.style.width = `${(100 * Math.max(0, W)) / scale}%`;
+        segGEl.style.width = `${(100 * G) / scale}%`;
+        energyTextEl.innerHTML =
+            `<b style="color:#ffb86b">KE</b> ${KE.toFixed(2)} J + <b style="color:#c792ea">PE</b> ${PE.toFixed(2)} J + ` +
+            `<b style="color:#ff6b8b">W<sub>drag</sub></b> ${W.toFixed(2)} J` +
+            (hasImpacts(simParams) ? ` + <b style="color:#8a93b8">W<sub>ground</sub></b> ${G.toFixed(2)} J` : '') +
+            ` = ${(KE + PE + W + G).toFixed(2)} J (launch ${E0.toFixed(2)} J)`;
+    }
+
+    // Integrator diagnostics: the worker's step counts for the run so far
+    // and the energy drift, i.e. how far KE + PE + W_drag at the shown
+    // frame has wandered from the launch energy.  Exact integration keeps
+    // the drift at zero; Euler's grows with every step.
+    const METHOD_NAMES = {
+        euler: 'Explicit Euler',
+        semi: 'Semi-implicit Euler',
+        midpoint: 'Midpoint (RK2)',
+        rk4: 'RK4',
+        rk45: 'RK45'
+    };
+    function formatDrift(d) {
+        if (!Number.isFinite(d)) return '–';
+        return `${d >= 0 ? '+' : '−'}${Math.abs(d) < 0.01 && d !== 0 ? Math.abs(d).toExponential(1) : Math.abs(d).toFixed(2)} J`;
+    }
+    function updateDiagnostics() {
+        diagEl.classList.toggle('hidden', !points.length);
+        if (!points.length) return;
+        const E0 = totalEnergy(points[0]);
+        const drift = totalEnergy(shownState()) - E0;
+        const method = METHOD_NAMES[simParams.method] || 'RK4';
+        let html = `<span class="k">Integrator</span> ${method}, dt ${simParams.method === 'rk45' ? '≤ ' : ''}${simParams.dt} s`;
+        if (diag) {
+            html += ` · ${diag.steps} steps`;
+            if (diag.rejected) html += ` (${diag.rejected} rejected)`;
+            html += ` · ${diag.evals} force evaluations`;
+        }
+        html += ` · <span class="k">energy drift</span> ${formatDrift(drift)}`;
+        if (Math.abs(E0) > 1e-12) html += ` (${((100 * drift) / E0).toFixed(3)}%)`;
+        diagEl.innerHTML = html;
+    }
+
+    // Replay timeline: the recorded points are the full state history, so
+    // scrubbing just picks which one the canvas, HUD and tooltip show
+    function shownState() {
+        return viewIndex !== null && points[viewIndex] ? points[viewIndex] : current;
+    }
+    function replayReady() {
+        return points.length > 1 && (!running || paused);
+    }
+    function showFrame(i) {
+        viewIndex = Math.min(points.length - 1, Math.max(0, i));
+        draw();
+    }
+    function stopReplay() {
+        replaying = false;
+        tlPlayBtn.textContent = '▶︎';
+        tlPlayBtn.title = 'Play replay';
+    }
+    function replayFrame(now) {
+        if (!replaying) return;
+        replayT += ((now - replayLast) / 1000) * (parseFloat(tlSpeedEl.value) || 0.25);
+        replayLast = now;
+        const end = points[points.length - 1].t;
+        if (replayT >= end) {
+            stopReplay();
+            showFrame(points.length - 1);
+            return;
+        }
+        showFrame(indexAt(replayT));
+        requestAnimationFrame(replayFrame);
+    }
+    function updateTimeline() {
+        const ready = replayReady();
+        exportCsvBtn.disabled = exportJsonBtn.disabled = running || points.length < 2;
+        for (const el of [tlBackBtn, tlPlayBtn, tlFwdBtn, tlSlider]) el.disabled = !ready;
+        tlSlider.max = Math.max(0, points.length - 1);
+        tlSlider.value = viewIndex !== null ? viewIndex : Math.max(0, points.length - 1);
+        tlTimeEl.textContent = `${shownState().t.toFixed(2)} s`;
+    }
+    tlSlider.addEventListener('input', () => {
+        if (!replayReady()) return;
+        stopReplay();
+        showFrame(+tlSlider.value);
+    });
+    tlBackBtn.addEventListener('click', () => {
+        stopReplay();
+        showFrame((viewIndex !== null ? viewIndex : points.length - 1) - 1);
+    });
+    tlFwdBtn.addEventListener('click', () => {
+        stopReplay();
+        showFrame((viewIndex !== null ? viewIndex : points.length - 1) + 1);
+    });
+    tlPlayBtn.addEventListener('click', () => {
+        if (!replayReady()) return;
+        if (replaying) {
+            stopReplay();
+            return;
+        }
+        // Start from the beginning when sitting on the last frame
+        const i = viewIndex !== null && viewIndex < points.length - 1 ? viewIndex : 0;
+        replayT = points[i].t;
+        replayLast = performance.now();
+        replaying = true;
+        tlPlayBtn.textContent = '❚❚';
+        tlPlayBtn.title = 'Pause replay';
+        showFrame(i);
+        requestAnimationFrame(replayFrame);
+    });
+
+    // Export the current run.  JSON keeps everything needed to show the run
+    // again; CSV lists the parameters as "# key,value" lines above the table.
+    const EXPORT_FIELDS = ['t', 'x', 'y', 'v', 'vx', 'vy', 'wDrag', 'wGround', 'fDrag'];
+    function exportRun(format) {
+        if (points.length < 2) return;
+        if (format === 'json') {
+            const data = { format: 'projectile-run', version: 1, params: simParams, points, bounces, obstacleEvents, events };
+            download('projectile-run.json', JSON.stringify(data, null, 2), 'application/json');
+            return;
+        }
+        const lines = [];
+        for (const [k, v] of Object.entries(simParams)) {
+            if (k === 'ground') {
+                lines.push(`# ground,${v.mode}`);
+                if (v.mode === 'incline') lines.push(`# slopeDeg,${v.slopeDeg}`);
+                if (v.mode === 'profile') lines.push(`# profile,"${v.profile.map(q => `${q.x} ${q.y}`).join('; ')}"`);
+            } else if (v && typeof v === 'object') {
+                lines.push(`# ${k},"${JSON.stringify(v).replace(/"/g, '""')}"`);
+            } else {
+                lines.push(`# ${k},${v}`);
+            }
+        }
+        lines.push(EXPORT_FIELDS.join(','));
+        for (const p of points) lines.push(EXPORT_FIELDS.map(k => p[k]).join(','));
+        download('projectile-run.csv', lines.join('\n') + '\n', 'text/csv');
+    }
+    function download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    // Show an exported JSON run without starting the worker.  The run's
+    // parameters are written back to the form so "Apply & Restart"
+    // re-simulates it.
+    function loadRun(data) {
+        if (!data || data.format !== 'projectile-run') throw new Error('not a projectile run export');
+        if (!Array.isArray(data.points) || data.points.length < 2) throw new Error('the run has no points');
+        const pts = data.points.map((p, i) => {
+            const q = {};
+            for (const k of ['t', 'x', 'y']) {
+                if (!Number.isFinite(+p[k])) throw new Error(`point ${i} has no numeric ${k}`);
+                q[k] = +p[k];
+            }
+            q.vx = Number.isFinite(+p.vx) ? +p.vx : 0;
+            q.vy = Number.isFinite(+p.vy) ? +p.vy : 0;
+            q.v = Number.isFinite(+p.v) ? +p.v : Math.hypot(q.vx, q.vy);
+            q.wDrag = Number.isFinite(+p.wDrag) ? +p.wDrag : 0;
+            q.wGround = Number.isFinite(+p.wGround) ? +p.wGround : 0;
+            if (Number.isFinite(+p.fDrag)) q.fDrag = +p.fDrag;
+            return q;
+        });
+        if (worker) worker.terminate();
+        worker = null;
+        stopReplay();
+        viewIndex = null;
+        running = false;
+        paused = false;
+        startBtn.disabled = false;
+        pauseBtn.disabled = true;
+        pauseBtn.textContent = 'Pause';
+        hideTooltip();
+        writeParams(data.params && typeof data.params === 'object' ? data.params : {});
+        onGroundInput();
+        onDragInput();
+        onMethodInput();
+        onBounceInput();
+        onAirInput();
+        onObstacleInput();
+        simParams = readParams();
+        diag = null;
+        // Markers are drawn by walking these lists in time order, so a
+        // reordered file is sorted here
+        const byTime = (a, b) => a.t - b.t;
+        const bounceFields = ['n', 't', 'x', 'y', 'vIn', 'vOut', 'loss'];
+        bounces = (Array.isArray(data.bounces) ? data.bounces : [])
+            .filter(b => b && bounceFields.every(k => Number.isFinite(+b[k])))
+            .map(b => ({ ...b, ...Object.fromEntries(bounceFields.map(k => [k, +b[k]])) }))
+            .sort(byTime);
+        renderBounces();
+        const nObstacles = simParams.obstacles.length;
+        obstacleEvents = (Array.isArray(data.obstacleEvents) ? data.obstacleEvents : [])
+            .filter(e => e && Object.hasOwn(OBSTACLE_NAMES, e.kind) && Object.hasOwn(CONTACT_TEXT, e.action) &&
+                Number.isInteger(+e.index) && +e.index >= 0 && +e.index < nObstacles &&
+                ['t', 'x', 'y'].every(k => Number.isFinite(+e[k])) &&
+                (e.action !== 'bounce' || ['vIn', 'vOut'].every(k => Number.isFinite(+e[k]))))
+            .map(e => ({
+                ...e, index: +e.index, t: +e.t, x: +e.x, y: +e.y,
+                ...(e.action === 'bounce' ? { vIn: +e.vIn, vOut: +e.vOut } : {})
+            }))
+            .sort(byTime);
+        events = (Array.isArray(data.events) ? data.events : []).map(e => importEvent(e, nObstacles)).filter(Boolean).sort(byTime);
+        renderEvents();
+        points = pts;
+        current = pts[pts.length - 1];
+        activeRunId = null;
+        transforms = null;
+        archiveRun();
+        renderObstacleInfo();
+        draw();
+    }
+    // An imported event with the fields its log row shows checked and its
+    // numbers coerced, or null when it has none to show
+    function importEvent(e, nObstacles) {
+        if (!e || !Object.hasOwn(EVENT_COLORS, e.type)) return null;
+        if (!['t', 'x', 'y', 'vx', 'vy'].every(k => Number.isFinite(+e[k]))) return null;
+        const out = { ...e, t: +e.t, x: +e.x, y: +e.y, vx: +e.vx, vy: +e.vy };
+        if (e.type === 'bounce') {
+            if (!Number.isInteger(+e.n) || +e.n < 1) return null;
+            out.n = +e.n;
+        } else if (e.type === 'collision') {
+            if (!Object.hasOwn(OBSTACLE_NAMES, e.obstacle) || !Number.isInteger(+e.index) || +e.index < 0 || +e.index >= nObstacles) return null;
+            out.index = +e.index;
+        } else if (e.type === 'crossing') {
+            if (!['x', 'y'].includes(e.axis) || !Number.isFinite(+e.value)) return null;
+            out.value = +e.value;
+        }
+        return out;
+    }
+    exportCsvBtn.addEventListener('click', () => exportRun('csv'));
+    exportJsonBtn.addEventListener('click', () => exportRun('json'));
+    importBtn.addEventListener('click', () => importFileEl.click());
+    importFileEl.addEventListener('change', () => {
+        const file = importFileEl.files && importFileEl.files[0];
+        importFileEl.value = '';
+        if (!file) return;
+        file.text()
+            .then(text => loadRun(JSON.parse(text)))
+            .catch(err => alert('Import failed: ' + (err?.message || err)));
+    });
+
+    // Slingshot aiming: press near the launch point and pull back; the
+    // launch goes the opposite way with AIM_SCALE m/s per pixel of pull.
+    // Works for mouse, pen and touch through pointer events.
+    const AIM_RADIUS = 24;   // px around the launch point that starts a drag
+    const AIM_SCALE = 0.25;  // m/s per px
+    const AIM_MAX_V0 = 150;  // m/s
+    function launchPoint() {
+        const { sx, sy } = getTransforms();
+        return { px: sx(0), py: sy(groundY(0) + simParams.h0) };
+    }
+    canvas.addEventListener('pointerdown', (e) => {
+        if ((running && !paused) || placing || drawingObstacle || aim) return;
+        const rect = canvas.getBoundingClientRect();
+        const { px, py } = launchPoint();
+        if (Math.hypot(e.clientX - rect.left - px, e.clientY - rect.top - py) > AIM_RADIUS) return;
+        e.preventDefault();
+        canvas.setPointerCapture?.(e.pointerId);
+        aim = { pointerId: e.pointerId, dx: 0, dy: 0 };
+        canvas.style.cursor = 'grabbing';
+        hideTooltip();
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!aim || e.pointerId !== aim.pointerId) return;
+        const rect = canvas.getBoundingClientRect();
+        const { px, py } = launchPoint();
+        // Launch direction is opposite to the pull; canvas y points down
+        aim.dx = px - (e.clientX - rect.left);
+        aim.dy = (e.clientY - rect.top) - py;
+        const v0 = Math.min(AIM_MAX_V0, AIM_SCALE * Math.hypot(aim.dx, aim.dy));
+        const angle = Math.min(90, Math.max(0, (Math.atan2(aim.dy, aim.dx) * 180) / Math.PI));
+        v0El.value = v0.toFixed(1);
+        angleEl.value = angle.toFixed(1);
+        requestPreview();
+        draw();
+    });
+    function endAim(e) {
+        if (!aim || e.pointerId !== aim.pointerId) return;
+        aim = null;
+        canvas.style.cursor = placing ? 'crosshair' : '';
+        draw();
+    }
+    canvas.addEventListener('pointerup', endAim);
+    canvas.addEventListener('pointercancel', endAim);
+    // Drawing an obstacle: drag out a wall's rectangle, drag a net up from
+    // the ground, or release where a hoop's ring should go.  A click
+    // without a drag uses the form's sizes.
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!drawingObstacle || sketch) return;
+        e.preventDefault();
+        canvas.setPointerCapture?.(e.pointerId);
+        const rect = canvas.getBoundingClientRect();
+        const p = toWorld(e.clientX - rect.left, e.clientY - rect.top);
+        sketch = { pointerId: e.pointerId, from: p, to: p };
+        hideTooltip();
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!sketch || e.pointerId !== sketch.pointerId) return;
+        const rect = canvas.getBoundingClientRect();
+        sketch.to = toWorld(e.clientX - rect.left, e.clientY - rect.top);
+        draw();
+    });
+    function endSketch(e) {
+        if (!sketch || e.pointerId !== sketch.pointerId) return;
+        const o = sketchObstacle(sketch);
+        sketch = null;
+        setDrawing(false);
+        if (e.type === 'pointerup') addObstacle(o);
+        else draw();
+    }
+    canvas.addEventListener('pointerup', endSketch);
+    canvas.addEventListener('pointercancel', endSketch);
+    // The obstacle a sketch describes, in metres rounded to centimetres
+    function sketchObstacle({ from, to }) {
+        const { sx, sy } = getTransforms();
+        const dragged = Math.hypot(sx(to.x) - sx(from.x), sy(to.y) - sy(from.y)) > 6;
+        const round = (v) => +v.toFixed(2);
+        const o = { ...readObstacle(), x: round(from.x), y: round(groundY(from.x)) };
+        if (o.kind === 'hoop') return { ...o, x: round(to.x), y: round(to.y) };
+        if (!dragged) return o;
+        if (o.kind === 'net') return { ...o, h: Math.max(0.01, round(Math.max(from.y, to.y) - o.y)) };
+        return {
+            ...o,
+            x: round(Math.min(from.x, to.x)),
+            y: round(Math.min(from.y, to.y)),
+            w: Math.max(0.01, round(Math.abs(to.x - from.x))),
+            h: Math.max(0.01, round(Math.abs(to.y - from.y)))
+        };
+    }
+    // Ask the preview worker to compute the path to first landing with the
+    // form's settings
+    function requestPreview() {
+        if (previewBusy) {
+            previewQueued = true;
+            return;
+        }
+        if (!previewWorker) {
+            previewWorker = new Worker('proj_worker.js');
+            previewWorker.onmessage = (e) => {
+                const msg = e.data;
+                previewBusy = false;
+                if (msg.type === 'computeResult' && msg.id === previewId && !(running && !paused)) {
+                    const { x, y } = msg.trajectory;
+                    preview = Array.from(x, (px, i) => ({ x: px, y: y[i] }));
+                    draw();
+                }
+                if (previewQueued) {
+                    previewQueued = false;
+                    requestPreview();
+                }
+            };
+        }
+        previewBusy = true;
+        previewWorker.postMessage({ type: 'compute', id: ++previewId, params: readParams(), untilLanding: true });
+    }
+    // Pull-back arrow from the launch point and the predicted path
+    function drawAim() {
+        const { sx, sy, pad, W, H } = getTransforms();
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, W - pad.left - pad.right, H - pad.top - pad.bottom);
+        ctx.clip();
+        if (preview) {
+            ctx.setLineDash([4, 4]);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = 'rgba(232, 236, 243, 0.7)';
+            ctx.beginPath();
+            preview.forEach((q, i) => (i ? ctx.lineTo(sx(q.x), sy(q.y)) : ctx.moveTo(sx(q.x), sy(q.y))));
+            ctx.stroke();
+        }
+        if (aim) {
+            const { px, py } = launchPoint();
+            const len = Math.hypot(aim.dx, aim.dy);
+            if (len > 0) {
+                const th = (Math.min(90, Math.max(0, (Math.atan2(aim.dy, aim.dx) * 180) / Math.PI)) * Math.PI) / 180;
+                const ux = Math.cos(th), uy = -Math.sin(th);
+                const tipX = px + len * ux, tipY = py + len * uy;
+                ctx.setLineDash([]);
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = '#f7e26b';
+                ctx.beginPath();
+                ctx.moveTo(px, py);
+                ctx.lineTo(tipX, tipY);
+                ctx.moveTo(tipX - 10 * ux + 6 * uy, tipY - 10 * uy - 6 * ux);
+                ctx.lineTo(tipX, tipY);
+                ctx.lineTo(tipX - 10 * ux - 6 * uy, tipY - 10 * uy + 6 * ux);
+                ctx.stroke();
+                ctx.font = '12px system-ui, sans-serif';
+                ctx.fillStyle = '#f7e26b';
+                ctx.fillText(`${v0El.value} m/s @ ${angleEl.value}°`, tipX + 8, tipY - 8);
+            }
+        }
+        ctx.restore();
+    }
+
     // Click to show tooltip when paused or finished
     canvas.addEventListener('click', (e) => {
-        if (running && !paused) return;
-        if (!points.length) return;
         const rect = canvas.getBoundingClientRect();
         const mx = e.clientX - rect.left;
         const my = e.clientY - rect.top;
+        if (placing) {
+            placeTarget(mx, my);
+            return;
+        }
+        if (running && !paused) return;
+        if (!points.length) return;
         const { sx, sy } = getTransforms();
-        const px = sx(current.x);
-        const py = sy(current.y);
+        const s = shownState();
+        const px = sx(s.x);
+        const py = sy(s.y);
         const dist = Math.hypot(mx - px, my - py);
         if (dist <= 12) {
             showTooltip(px, py);
@@ -180,63 +1901,507 @@
         grid(ctx, W, H, pad);
         // Numbered ticks and labels
         drawAxisTicks();
-        // Trajectory
-        if (points.length > 1) {
+        // Ground line and launch point
+        drawTerrain();
+        // Wind field at the shown time
+        drawWind(shownState().t);
+        // Walls, nets and hoops, and the one being drawn
+        drawObstacles();
+        // Event lines x = const and y = const
+        drawLines();
+        // Analytic reference (no drag, or linear drag) for comparison
+        if (showRefEl.checked && points.length) drawReference();
+        // Target and the solver's arcs through it
+        drawTarget();
+        // Aiming arrow and predicted path
+        if (aim || preview) drawAim();
+        // Earlier runs as coloured ghost curves
+        for (const run of runs) {
+            if (!run.visible) continue;
             ctx.save();
-            ctx.lineWidth = 3;
-            ctx.strokeStyle = '#6fff9f';
+            ctx.lineWidth = run.id === activeRunId ? 3 : 2;
+            ctx.globalAlpha = run.id === activeRunId ? 1 : 0.7;
+            ctx.strokeStyle = run.color;
             ctx.beginPath();
-            ctx.moveTo(sx(points[0].x), sy(points[0].y));
-            for (const p of points) ctx.lineTo(sx(p.x), sy(p.y));
+            ctx.moveTo(sx(run.points[0].x), sy(run.points[0].y));
+            for (const p of run.points) ctx.lineTo(sx(p.x), sy(p.y));
             ctx.stroke();
             ctx.restore();
-            const last = points[points.length - 1];
-            dot(ctx, sx(last.x), sy(last.y), 5, '#5ec2ff');
+        }
+        // Trajectory of the current run; once finished it is drawn from the history
+        if (points.length > 1) {
+            if (activeRunId === null) {
+                ctx.save();
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = '#6fff9f';
+                ctx.beginPath();
+                ctx.moveTo(sx(points[0].x), sy(points[0].y));
+                for (const p of points) ctx.lineTo(sx(p.x), sy(p.y));
+                ctx.stroke();
+                ctx.restore();
+            }
+            const s = shownState();
+            drawBounces(s.t);
+            drawContacts(s.t);
+            drawEvents(s.t);
+            drawCrumbs(s.t);
+            drawVectors(s);
+            dot(ctx, sx(s.x), sy(s.y), 5, '#5ec2ff');
+            if (simParams.spin) drawSpin(sx(s.x), sy(s.y), s.t);
             if (!tooltip.classList.contains('hidden')) {
-                positionTooltip(sx(current.x), sy(current.y));
+                showTooltip(sx(s.x), sy(s.y));
             }
             drawMeasurements();
+            drawCursor();
         }
         drawScaleBar();
-        updateHUD(current.x, current.y);
+        const shown = shownState();
+        updateHUD(shown.x, shown.y);
+        updateTimeline();
+        updateReadout();
+        updateEnergyBar();
+        updateDiagnostics();
+        scheduleGraphs();
+    }
+    // Wind at (x, y) and time t, from the model in proj_shared.js
+    const WIND_NAMES = { constant: 'constant wind', shear: 'wind shear', power: 'power-law wind', gusts: 'gusts' };
+    function windAt(x, y, t) {
+        const p = simParams;
+        if (!gustCache || gustCache.seed !== p.gustSeed) gustCache = makeGusts(p.gustSeed);
+        return windVelocity(p, gustCache, y - groundY(x), t);
+    }
+    // Faint arrows on a grid over the plot showing the wind at time t;
+    // the longest arrow in view is WIND_ARROW pixels
+    const WIND_ARROW = 28;
+    function drawWind(t) {
+        const { sx, sy, pad, minX, maxX, minY, maxY, W, H } = getTransforms();
+        const cols = 7, rows = 5;
+        const arrows = [];
+        let most = 0;
+        for (let i = 0; i < cols; i++) {
+            for (let j = 0; j < rows; j++) {
+                const x = minX + ((i + 0.5) / cols) * (maxX - minX);
+                const y = minY + ((j + 0.5) / rows) * (maxY - minY);
+                if (y < groundY(x)) continue;
+                const w = windAt(x, y, t);
+                const speed = Math.hypot(w.wx, w.wy);
+                most = Math.max(most, speed);
+                arrows.push({ px: sx(x), py: sy(y), ...w, speed });
+            }
+        }
+        if (most < 1e-9) return;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, W - pad.left - pad.right, H - pad.top - pad.bottom);
+        ctx.clip();
+        ctx.strokeStyle = 'rgba(94, 194, 255, 0.35)';
+        ctx.lineWidth = 1.5;
+        for (const a of arrows) {
+            if (a.speed < 1e-9) continue;
+            const len = (WIND_ARROW * a.speed) / most;
+            const ux = a.wx / a.speed, uy = -a.wy / a.speed; // canvas y points down
+            const tipX = a.px + (len / 2) * ux, tipY = a.py + (len / 2) * uy;
+            ctx.beginPath();
+            ctx.moveTo(a.px - (len / 2) * ux, a.py - (len / 2) * uy);
+            ctx.lineTo(tipX, tipY);
+            ctx.moveTo(tipX - 5 * ux + 3 * uy, tipY - 5 * uy - 3 * ux);
+            ctx.lineTo(tipX, tipY);
+            ctx.lineTo(tipX - 5 * ux - 3 * uy, tipY - 5 * uy + 3 * ux);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    // Spin rate (rpm) at time t (mirrors spinAt in proj_worker.js)
+    function spinAt(t) {
+        return simParams.spin * Math.exp(-t / simParams.spinTau);
+    }
+    // Marker turning with the ball: a ring with one spoke, drawn
+    // counter-clockwise for backspin.  Real spin is far too fast to follow
+    // (3000 rpm is 50 turns a second), so the marker turns SPIN_SLOWDOWN
+    // times slower than the ball.
+    const SPIN_SLOWDOWN = 50;
+    function drawSpin(px, py, t) {
+        const { spin, spinTau } = simParams;
+        // Angle turned so far: ∫ω dt with ω decaying exponentially
+        const turned = ((spin * 2 * Math.PI) / 60) * spinTau * (1 - Math.exp(-t / spinTau));
+        const a = -turned / SPIN_SLOWDOWN; // canvas y points down
+        ctx.save();
+        ctx.strokeStyle = '#5ec2ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(px, py, 9, 0, Math.PI * 2);
+        ctx.moveTo(px, py);
+        ctx.lineTo(px + 9 * Math.cos(a), py + 9 * Math.sin(a));
+        ctx.stroke();
+        ctx.restore();
+    }
+    // Target as a bullseye sized to its hit radius (at least 5 px), green
+    // after a hit and red after a miss; solver arcs as dashed curves
+    function drawTarget() {
+        const target = readTarget();
+        if (!target) return;
+        const { sx, sy } = getTransforms();
+        if (solution) {
+            ctx.save();
+            ctx.setLineDash([8, 5]);
+            ctx.lineWidth = 2;
+            solution.solutions.forEach((s, i) => {
+                ctx.strokeStyle = SOLUTION_COLORS[i];
+                ctx.beginPath();
+                s.path.forEach((q, j) => (j ? ctx.lineTo(sx(q.x), sy(q.y)) : ctx.moveTo(sx(q.x), sy(q.y))));
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+        const px = sx(target.x), py = sy(target.y);
+        const r = Math.max(5, Math.abs(sx(target.x + target.r) - px));
+        const color = !targetResult ? '#f7e26b' : targetResult.hit ? '#6fff9f' : '#ff6b8b';
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(px, py, r, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(px, py, r / 2, 0, Math.PI * 2);
+        ctx.moveTo(px - r - 4, py);
+        ctx.lineTo(px + r + 4, py);
+        ctx.moveTo(px, py - r - 4);
+        ctx.lineTo(px, py + r + 4);
+        ctx.stroke();
+        // Closest approach of a missed shot
+        if (targetResult && !targetResult.hit) {
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(px, py);
+            ctx.lineTo(sx(targetResult.x), sy(targetResult.y));
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    // Vector overlays.  Velocities are scaled so the launch speed is VEC_PX
+    // long, accelerations so g is ACC_PX and forces so the weight mg is
+    // ACC_PX (the largest arrow instead when g = 0).
+    const VEC_PX = 80;
+    const ACC_PX = 50;
+    const VEC_COLORS = { v: '#5ec2ff', vx: '#7fdbca', vy: '#f7e26b', a: '#ff9e64', mg: '#c792ea', drag: '#ff6b8b', magnus: '#82aaff' };
+    function vectorScales(p) {
+        const { m, g } = simParams;
+        const aMax = g > 0 ? g : Math.max(1e-9, Math.hypot(p.ax || 0, p.ay || 0));
+        const fMax = g > 0 ? m * g : Math.max(1e-9, Math.hypot(p.fdx || 0, p.fdy || 0), Math.hypot(p.fmx || 0, p.fmy || 0));
+        return { v: VEC_PX / Math.max(1, simParams.v0), a: ACC_PX / aMax, f: ACC_PX / fMax };
+    }
+    // Arrow from (x1, y1) to (x2, y2) in canvas pixels, with the same head
+    // as drawArrow in momentum.js; an optional label sits past the tip
+    function drawArrow(c, x1, y1, x2, y2, color, label) {
+        const len = Math.hypot(x2 - x1, y2 - y1);
+        if (len < 0.5) return;
+        c.save();
+        c.strokeStyle = color;
+        c.fillStyle = color;
+        c.lineWidth = 2;
+        c.beginPath();
+        c.moveTo(x1, y1);
+        c.lineTo(x2, y2);
+        c.stroke();
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const size = Math.min(8, len / 2);
+        c.setLineDash([]);
+        c.beginPath();
+        c.moveTo(x2, y2);
+        c.lineTo(x2 - size * Math.cos(angle - Math.PI / 6), y2 - size * Math.sin(angle - Math.PI / 6));
+        c.lineTo(x2 - size * Math.cos(angle + Math.PI / 6), y2 - size * Math.sin(angle + Math.PI / 6));
+        c.closePath();
+        c.fill();
+        if (label) {
+            c.font = '11px system-ui, sans-serif';
+            c.textAlign = x2 >= x1 ? 'left' : 'right';
+            c.textBaseline = y2 >= y1 ? 'top' : 'bottom';
+            c.fillText(label, x2 + (x2 >= x1 ? 4 : -4), y2 + (y2 >= y1 ? 2 : -2));
+        }
+        c.restore();
+    }
+    // The enabled vectors for sample `p` at canvas point (px, py); labels
+    // give the magnitudes
+    function drawVectorSet(p, px, py, labels) {
+        const k = vectorScales(p);
+        const fmt = (v, unit) => `${v.toFixed(2)} ${unit}`;
+        if (showVelEl.checked) {
+            ctx.save();
+            ctx.setLineDash([4, 3]);
+            drawArrow(ctx, px, py, px + k.v * p.vx, py, VEC_COLORS.vx, labels && `vx ${fmt(p.vx, 'm/s')}`);
+            drawArrow(ctx, px, py, px, py - k.v * p.vy, VEC_COLORS.vy, labels && `vy ${fmt(p.vy, 'm/s')}`);
+            ctx.restore();
+            drawArrow(ctx, px, py, px + k.v * p.vx, py - k.v * p.vy, VEC_COLORS.v, labels && `v ${fmt(Math.hypot(p.vx, p.vy), 'm/s')}`);
+        }
+        // Acceleration and forces are only known in flight
+        if (!Number.isFinite(p.ax)) return;
+        if (showAccEl.checked) {
+            drawArrow(ctx, px, py, px + k.a * p.ax, py - k.a * p.ay, VEC_COLORS.a, labels && `a ${fmt(Math.hypot(p.ax, p.ay), 'm/s²')}`);
+        }
+        if (showForcesEl.checked) {
+            const { m, g } = simParams;
+            drawArrow(ctx, px, py, px, py + k.f * m * g, VEC_COLORS.mg, labels && `mg ${fmt(m * g, 'N')}`);
+            drawArrow(ctx, px, py, px + k.f * p.fdx, py - k.f * p.fdy, VEC_COLORS.drag, labels && `F_drag ${fmt(Math.hypot(p.fdx, p.fdy), 'N')}`);
+            if (p.fmx || p.fmy) {
+                drawArrow(ctx, px, py, px + k.f * p.fmx, py - k.f * p.fmy, VEC_COLORS.magnus, labels && `F_M ${fmt(Math.hypot(p.fmx, p.fmy), 'N')}`);
+            }
+        }
+    }
+    function drawVectors(s) {
+        if (!showVelEl.checked && !showAccEl.checked && !showForcesEl.checked) return;
+        const { sx, sy } = getTransforms();
+        drawVectorSet(s, sx(s.x), sy(s.y), true);
+    }
+    // Unlabelled copies of the vectors every crumbDt seconds up to time t,
+    // from the sample at or before each instant (at most 200)
+    function drawCrumbs(t) {
+        if (!showCrumbsEl.checked || points.length < 2) return;
+        const dt = Math.max(0.05, num(crumbDtEl, 0.5));
+        const { sx, sy } = getTransforms();
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        for (let i = 1; i <= 200 && i * dt <= t; i++) {
+            const p = points[indexAt(i * dt)];
+            drawVectorSet(p, sx(p.x), sy(p.y), false);
+        }
+        ctx.restore();
+    }
+    // Obstacle sizes (mirror NET_WIDTH and BOARD in proj_worker.js)
+    const NET_WIDTH = 0.05;
+    const BOARD = { gap: 0.15, width: 0.03, below: 0.15, above: 0.9 };
+    // Bounding box [x0, y0, x1, y1] of an obstacle, its hoop net included
+    function obstacleBox(o) {
+        if (o.kind === 'wall') return [o.x, o.y, o.x + o.w, o.y + o.h];
+        if (o.kind === 'net') return [o.x - NET_WIDTH / 2, o.y, o.x + NET_WIDTH / 2, o.y + o.h];
+        return [o.x - o.r, o.y - 2 * o.r, o.x + o.r + BOARD.gap + BOARD.width, o.y + BOARD.above];
+    }
+    // Obstacles of the shown run; before any run, the form's as a preview
+    function shownObstacles() {
+        return points.length ? simParams.obstacles || [] : obstacles;
+    }
+    function drawObstacles() {
+        const list = shownObstacles();
+        if (!list.length && !sketch) return;
+        ctx.save();
+        for (const o of list) drawObstacle(o);
+        if (sketch) {
+            ctx.setLineDash([5, 4]);
+            ctx.globalAlpha = 0.7;
+            drawObstacle(sketchObstacle(sketch));
+        }
+        ctx.restore();
+    }
+    function drawObstacle(o) {
+        const { sx, sy } = getTransforms();
+        // Filled rectangle at least 2 px wide so thin nets stay visible
+        const rect = (x0, y0, x1, y1) => {
+            const px = sx(x0), py = sy(y1);
+            const w = Math.max(2, sx(x1) - px), h = sy(y0) - py;
+            ctx.fillRect(px, py, w, h);
+            ctx.strokeRect(px, py, w, h);
+        };
+        ctx.lineWidth = 1.5;
+        if (o.kind === 'wall') {
+            ctx.fillStyle = '#2a355f';
+            ctx.strokeStyle = '#8a93b8';
+            rect(o.x, o.y, o.x + o.w, o.y + o.h);
+        } else if (o.kind === 'net') {
+            ctx.fillStyle = 'rgba(232, 236, 243, 0.5)';
+            ctx.strokeStyle = '#e8ecf3';
+            rect(o.x - NET_WIDTH / 2, o.y, o.x + NET_WIDTH / 2, o.y + o.h);
+        } else {
+            const bx = o.x + o.r + BOARD.gap;
+            ctx.fillStyle = '#e8ecf3';
+            ctx.strokeStyle = '#e8ecf3';
+            rect(bx, o.y - BOARD.below, bx + BOARD.width, o.y + BOARD.above);
+            // Net hanging from the ring, then the ring itself
+            ctx.lineWidth = 1;
+            ctx.strokeStyle = 'rgba(232, 236, 243, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(sx(o.x - o.r), sy(o.y));
+            ctx.lineTo(sx(o.x - 0.6 * o.r), sy(o.y - 2 * o.r));
+            ctx.lineTo(sx(o.x + 0.6 * o.r), sy(o.y - 2 * o.r));
+            ctx.lineTo(sx(o.x + o.r), sy(o.y));
+            ctx.stroke();
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = '#ff9e64';
+            ctx.beginPath();
+            ctx.moveTo(sx(o.x - o.r), sy(o.y));
+            ctx.lineTo(sx(o.x + o.r), sy(o.y));
+            ctx.stroke();
+        }
+    }
+    // Ring marker at each obstacle contact reached by the shown time, green
+    // for a drop through a hoop
+    function drawContacts(t) {
+        if (!obstacleEvents.length) return;
+        const { sx, sy } = getTransforms();
+        ctx.save();
+        ctx.lineWidth = 2;
+        for (const e of obstacleEvents) {
+            if (e.t > t + 1e-9) break;
+            ctx.strokeStyle = e.action === 'through' ? '#6fff9f' : '#ff6b8b';
+            ctx.beginPath();
+            ctx.arc(sx(e.x), sy(e.y), 6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    // Dashed event lines across the plot, labelled with their position
+    function drawLines() {
+        const lines = simParams.lines;
+        if (!lines || (!lines.x.length && !lines.y.length)) return;
+        const { sx, sy, pad, minX, maxX, minY, maxY, W, H } = getTransforms();
+        ctx.save();
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = '#82aaff88';
+        ctx.fillStyle = '#82aaff';
+        ctx.lineWidth = 1;
+        ctx.font = '11px system-ui, sans-serif';
+        ctx.textBaseline = 'top';
+        for (const x of lines.x) {
+            if (x < minX || x > maxX) continue;
+            ctx.beginPath();
+            ctx.moveTo(sx(x), pad.top);
+            ctx.lineTo(sx(x), H - pad.bottom);
+            ctx.stroke();
+            ctx.fillText(`x = ${x} m`, sx(x) + 4, pad.top + 2);
+        }
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        for (const y of lines.y) {
+            if (y < minY || y > maxY) continue;
+            ctx.beginPath();
+            ctx.moveTo(pad.left, sy(y));
+            ctx.lineTo(W - pad.right, sy(y));
+            ctx.stroke();
+            ctx.fillText(`y = ${y} m`, W - pad.right - 4, sy(y) - 2);
+        }
+        ctx.restore();
+    }
+    // Diamond marker at each event reached by the shown time; the apex
+    // and landing are labelled
+    function drawEvents(t) {
+        if (!events.length) return;
+        const { sx, sy } = getTransforms();
+        ctx.save();
+        ctx.font = '11px system-ui, sans-serif';
+        ctx.textBaseline = 'bottom';
+        for (const e of events) {
+            if (e.t > t + 1e-9) break;
+            const X = sx(e.x), Y = sy(e.y);
+            ctx.fillStyle = EVENT_COLORS[e.type];
+            ctx.beginPath();
+            ctx.moveTo(X, Y - 5); ctx.lineTo(X + 5, Y); ctx.lineTo(X, Y + 5); ctx.lineTo(X - 5, Y);
+            ctx.closePath();
+            ctx.fill();
+            if (e.type === 'apex' || e.type === 'landing') ctx.fillText(describeEvent(e).toLowerCase(), X + 7, Y - 4);
+        }
+        ctx.restore();
+    }
+    // Ring marker at each impact reached by the shown time
+    function drawBounces(t) {
+        if (!bounces.length) return;
+        const { sx, sy } = getTransforms();
+        ctx.save();
+        ctx.strokeStyle = '#f7e26b';
+        ctx.lineWidth = 2;
+        for (const b of bounces) {
+            if (b.t > t + 1e-9) break;
+            ctx.beginPath();
+            ctx.arc(sx(b.x), sy(b.y), 6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
     }
     function getTransforms() {
         if (transforms &&
             transforms.W === canvas.clientWidth &&
             transforms.H === canvas.clientHeight &&
-            transforms.N === points.length) {
+            transforms.N === points.length &&
+            transforms.R === runsVersion &&
+            transforms.T === targetVersion &&
+            transforms.ref === showRefEl.checked) {
             return transforms;
         }
         const W = canvas.clientWidth, H = canvas.clientHeight;
         const pad = { top: 16, right: 16, bottom: 44, left: 56 };
         const innerW = Math.max(1, W - pad.left - pad.right);
         const innerH = Math.max(1, H - pad.top - pad.bottom);
-        const maxX = Math.max(10, ...points.map(p => p.x));
-        const maxY = Math.max(5, ...points.map(p => p.y));
-        const sx = (x) => pad.left + (x / Math.max(1, maxX)) * innerW;
-        const sy = (y) => H - pad.bottom - (y / Math.max(1, maxY)) * innerH;
-        transforms = { sx, sy, pad, maxX, maxY, W, H, innerW, innerH, N: points.length };
+        // Fit the path, visible earlier runs, the launch point and the ground beneath it
+        const y0 = groundY(0) + simParams.h0;
+        let minX = 0, maxX = 0, minY = Math.min(0, y0), maxY = Math.max(0, y0);
+        const fit = (x, y) => {
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        };
+        for (const p of points) fit(p.x, p.y);
+        for (const run of runs) {
+            if (!run.visible) continue;
+            for (const p of run.points) fit(p.x, p.y);
+        }
+        if (simParams.ground.mode === 'profile') {
+            for (const q of simParams.ground.profile) fit(q.x, q.y);
+        }
+        if (showRefEl.checked && points.length) {
+            for (const q of getReference().points) fit(q.x, q.y);
+        }
+        const target = readTarget();
+        if (target) {
+            fit(target.x - target.r, target.y - target.r);
+            fit(target.x + target.r, target.y + target.r);
+        }
+        if (solution) {
+            for (const s of solution.solutions) for (const q of s.path) fit(q.x, q.y);
+        }
+        for (const o of shownObstacles()) {
+            const [x0, y0, x1, y1] = obstacleBox(o);
+            fit(x0, y0);
+            fit(x1, y1);
+        }
+        maxX = Math.max(maxX, minX + 10);
+        for (const x of groundSamples(minX, maxX)) fit(x, groundY(x));
+        maxY = Math.max(maxY, minY + 5);
+        const sx = (x) => pad.left + ((x - minX) / (maxX - minX)) * innerW;
+        const sy = (y) => H - pad.bottom - ((y - minY) / (maxY - minY)) * innerH;
+        transforms = { sx, sy, pad, minX, maxX, minY, maxY, W, H, innerW, innerH, N: points.length, R: runsVersion, T: targetVersion, ref: showRefEl.checked };
         return transforms;
     }
+    // Height of the ground line at x (groundHeight is in proj_shared.js)
+    function groundY(x) {
+        return groundHeight(simParams.ground, x);
+    }
+    // x positions where the ground line bends within [x0, x1], plus the ends
+    function groundSamples(x0, x1) {
+        const xs = [x0];
+        if (simParams.ground.mode === 'profile') {
+            for (const q of simParams.ground.profile) if (q.x > x0 && q.x < x1) xs.push(q.x);
+        }
+        xs.push(x1);
+        return xs;
+    }
     function grid(c, W, H, pad) {
         const left = pad.left, right = W - pad.right;
         const top = pad.top, bottom = H - pad.bottom;
         c.save();
         // Draw background grid lines aligned to world coordinate ticks
-        const { sx, sy, maxX, maxY } = getTransforms();
-        const stepX = niceStep(maxX, 8);
-        const stepY = niceStep(maxY, 8);
+        const { sx, sy, minX, maxX, minY, maxY } = getTransforms();
+        const stepX = niceStep(maxX - minX, 8);
+        const stepY = niceStep(maxY - minY, 8);
         c.strokeStyle = '#1c274f';
         c.lineWidth = 1;
         c.beginPath();
-        // vertical grid lines for multiples of stepX from 0 to maxX
-        for (let x = 0; x <= maxX + 1e-9; x += stepX) {
+        // vertical grid lines for multiples of stepX from minX to maxX
+        for (let x = firstTick(minX, stepX); x <= maxX + 1e-9; x += stepX) {
             const px = sx(x);
             c.moveTo(px, top);
             c.lineTo(px, bottom);
         }
-        // horizontal grid lines for multiples of stepY from 0 to maxY
-        for (let y = 0; y <= maxY + 1e-9; y += stepY) {
+        // horizontal grid lines for multiples of stepY from minY to maxY
+        for (let y = firstTick(minY, stepY); y <= maxY + 1e-9; y += stepY) {
             const py = sy(y);
             c.moveTo(left, py);
             c.lineTo(right, py);
@@ -253,10 +2418,10 @@
         c.restore();
     }
     function drawAxisTicks() {
-        const { sx, sy, pad, maxX, maxY, W, H } = getTransforms();
+        const { sx, sy, pad, minX, maxX, minY, maxY, W, H } = getTransforms();
         const bottom = H - pad.bottom, left = pad.left;
         // X axis ticks
-        const stepX = niceStep(maxX, 8);
+        const stepX = niceStep(maxX - minX, 8);
         const decX = tickDecimals(stepX);
         ctx.save();
         ctx.strokeStyle = '#2a355f';
@@ -264,7 +2429,7 @@
         ctx.lineWidth = 1;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        for (let x = 0; x <= maxX + 1e-9; x += stepX) {
+        for (let x = firstTick(minX, stepX); x <= maxX + 1e-9; x += stepX) {
             const X = sx(x);
             ctx.beginPath(); ctx.moveTo(X, bottom); ctx.lineTo(X, bottom + 6); ctx.stroke();
             ctx.fillText(x.toFixed(decX), X, bottom + 8);
@@ -272,7 +2437,7 @@
         ctx.fillText('x (m)', W - pad.right - 28, bottom + 28);
         ctx.restore();
         // Y axis ticks
-        const stepY = niceStep(maxY, 8);
+        const stepY = niceStep(maxY - minY, 8);
         const decY = tickDecimals(stepY);
         ctx.save();
         ctx.strokeStyle = '#2a355f';
@@ -280,7 +2445,7 @@
         ctx.lineWidth = 1;
         ctx.textAlign = 'right';
         ctx.textBaseline = 'middle';
-        for (let y = 0; y <= maxY + 1e-9; y += stepY) {
+        for (let y = firstTick(minY, stepY); y <= maxY + 1e-9; y += stepY) {
             const Y = sy(y);
             ctx.beginPath(); ctx.moveTo(left - 6, Y); ctx.lineTo(left, Y); ctx.stroke();
             ctx.fillText(y.toFixed(decY), left - 8, Y);
@@ -293,21 +2458,59 @@
         ctx.restore();
         ctx.restore();
     }
+    // Shade the ground below the ground line and mark the launch point
+    function drawTerrain() {
+        const { sx, sy, pad, minX, maxX, W, H } = getTransforms();
+        const bottom = H - pad.bottom;
+        const xs = groundSamples(minX, maxX);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, W - pad.left - pad.right, bottom - pad.top);
+        ctx.clip();
+        ctx.beginPath();
+        ctx.moveTo(sx(xs[0]), bottom);
+        for (const x of xs) ctx.lineTo(sx(x), sy(groundY(x)));
+        ctx.lineTo(sx(xs[xs.length - 1]), bottom);
+        ctx.closePath();
+        ctx.fillStyle = '#16263a';
+        ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(sx(xs[0]), sy(groundY(xs[0])));
+        for (const x of xs) ctx.lineTo(sx(x), sy(groundY(x)));
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#3b6a8f';
+        ctx.stroke();
+        // Launch platform: a post from the ground up to the launch point
+        const yBase = groundY(0), yLaunch = yBase + simParams.h0;
+        if (simParams.h0 > 0) {
+            ctx.beginPath();
+            ctx.moveTo(sx(0), sy(yBase));
+            ctx.lineTo(sx(0), sy(yLaunch));
+            ctx.lineWidth = 4;
+            ctx.strokeStyle = '#3b6a8f';
+            ctx.stroke();
+        }
+        dot(ctx, sx(0), sy(yLaunch), 3, '#9aa3b2');
+        ctx.restore();
+    }
+    // Dashed guides: the distance travelled, level with the launch point,
+    // and the height above the ground under the ball
     function drawMeasurements() {
         const { sx, sy } = getTransforms();
-        const x0 = sx(0), y0 = sy(0);
-        const xC = sx(current.x), yC = sy(current.y);
+        const yLaunch = sy(groundY(0) + simParams.h0);
+        const s = shownState();
+        const xC = sx(s.x), yC = sy(s.y);
         ctx.save();
         ctx.setLineDash([6, 6]);
         ctx.lineWidth = 2;
         ctx.strokeStyle = '#6a98ff88';
-        ctx.beginPath(); ctx.moveTo(x0, y0); ctx.lineTo(xC, y0); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(xC, y0); ctx.lineTo(xC, yC); ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(sx(0), yLaunch); ctx.lineTo(xC, yLaunch); ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(xC, sy(groundY(s.x))); ctx.lineTo(xC, yC); ctx.stroke();
         ctx.restore();
     }
     function drawScaleBar() {
-        const { sx, pad, maxX, H } = getTransforms();
-        const step = niceStep(maxX, 6);
+        const { sx, pad, minX, maxX, H } = getTransforms();
+        const step = niceStep(maxX - minX, 6);
         const px = sx(step) - sx(0);
         const y = H - pad.bottom + 22;
         const x = pad.left;
@@ -328,6 +2531,10 @@
         const m = raw / pow;
         return (m >= 5 ? 5 : m >= 2 ? 2 : 1) * pow;
     }
+    // Smallest multiple of step that is not below min
+    function firstTick(min, step) {
+        return Math.ceil(min / step - 1e-9) * step;
+    }
     function tickDecimals(step) {
         const e = Math.max(0, -Math.floor(Math.log10(step)));
         return Math.min(6, e);
@@ -338,20 +2545,26 @@
         hudYEl.textContent = `${(y || 0).toFixed(2)} m`;
     }
     function showTooltip(px, py) {
-        const m = 0.145; // same default mass used in the worker
-        const g = 9.81;
-        const KE = 0.5 * m * current.v * current.v;
-        const PE = m * g * Math.max(0, current.y);
+        const { m, g } = simParams; // same values the worker was started with
+        const s = shownState();
+        const KE = 0.5 * m * s.v * s.v;
+        const PE = m * g * s.y;
+        const W = s.wDrag || 0;
+        const G = s.wGround || 0;
         tooltip.innerHTML = `
             <div class="title">Projectile</div>
-            <div class="row"><span class="k">t</span><span>${current.t.toFixed(2)} s</span></div>
-            <div class="row"><span class="k">x</span><span>${current.x.toFixed(2)} m</span></div>
-            <div class="row"><span class="k">y</span><span>${current.y.toFixed(2)} m</span></div>
-            <div class="row"><span class="k">v</span><span>${current.v.toFixed(2)} m/s</span></div>
-            <div class="row"><span class="k">vₓ</span><span>${current.vx.toFixed(2)} m/s</span></div>
-            <div class="row"><span class="k">vᵧ</span><span>${current.vy.toFixed(2)} m/s</span></div>
+            <div class="row"><span class="k">t</span><span>${s.t.toFixed(2)} s</span></div>
+            <div class="row"><span class="k">x</span><span>${s.x.toFixed(2)} m</span></div>
+            <div class="row"><span class="k">y</span><span>${s.y.toFixed(2)} m</span></div>
+            <div class="row"><span class="k">v</span><span>${s.v.toFixed(2)} m/s</span></div>
+            <div class="row"><span class="k">vₓ</span><span>${s.vx.toFixed(2)} m/s</span></div>
+            <div class="row"><span class="k">vᵧ</span><span>${s.vy.toFixed(2)} m/s</span></div>
+            ${simParams.spin ? `<div class="row"><span class="k">spin</span><span>${spinAt(s.t).toFixed(0)} rpm</span></div>` : ''}
             <div class="row"><span class="k">KE</span><span>${KE.toFixed(2)} J</span></div>
             <div class="row"><span class="k">PE</span><span>${PE.toFixed(2)} J</span></div>
+            <div class="row"><span class="k">W<sub>drag</sub></span><span>${W.toFixed(2)} J</span></div>
+            ${hasImpacts(simParams) ? `<div class="row"><span class="k">W<sub>ground</sub></span><span>${G.toFixed(2)} J</span></div>` : ''}
+            <div class="row"><span class="k">KE+PE+W</span><span>${(KE + PE + W + G).toFixed(2)} J</span></div>
         `;
         tooltip.classList.remove('hidden');
         positionTooltip(px, py);